@@ -0,0 +1,103 @@
+// Times each stage of compiling patterns whose DFAs have thousands of states, and searching a text
+// with them. Run with
+// 'npm run benchmark', or 'node benchmark/benchmark.js [filter]' to only run the patterns whose name
+// contains the filter.
+const { Regex } = require('../regex.js');
+
+/**
+ * Makes a lexer with the given number of keyword rules, each a distinct word of eight letters, so
+ * that the DFA is a large trie.
+ */
+function Keywords(count) {
+	let rules = {};
+	let seed = 1;
+	
+	for (let i = 0; i < count; i++) {
+		let word = '';
+		
+		for (let j = 0; j < 8; j++) {
+			seed = (seed * 1103515245 + 12345) % 2147483648;
+			word += String.fromCharCode(0x61 + (seed >> 16) % 26);
+		}
+		
+		rules['keyword' + i] = word;
+	}
+	
+	rules.identifier = '[a-z]+';
+	rules.space = '\\s+';
+	
+	return rules;
+}
+
+/**
+ * Makes a text of the given length from the characters, in a fixed pseudo-random order.
+ */
+function Text(chars, length) {
+	let text = '';
+	let seed = 1;
+	
+	for (let i = 0; i < length; i++) {
+		seed = (seed * 1103515245 + 12345) % 2147483648;
+		text += chars[(seed >> 16) % chars.length];
+	}
+	
+	return text;
+}
+
+const TEXT_LENGTH = 10000;
+
+const PATTERNS = [
+	{ name: '(a|b)*a(a|b){8}', pattern: '(a|b)*a(a|b){8}', text: Text('ab ', TEXT_LENGTH) },
+	{ name: '(a|b)*a(a|b){10}', pattern: '(a|b)*a(a|b){10}', text: Text('ab ', TEXT_LENGTH) },
+	{ name: '(a|b)*a(a|b){12}', pattern: '(a|b)*a(a|b){12}', options: { maxDFAStates: 20000 }, text: Text('ab ', TEXT_LENGTH) },
+	{ name: '(a|b)*a(a|b){14}', pattern: '(a|b)*a(a|b){14}', options: { maxDFAStates: 40000 }, text: Text('ab ', TEXT_LENGTH) },
+	{ name: '(a|b|c)*a(a|b|c){6}', pattern: '(a|b|c)*a(a|b|c){6}', text: Text('abc ', TEXT_LENGTH) },
+	{ name: '\\b(a|b)*a(a|b){8}\\b', pattern: '\\b(a|b)*a(a|b){8}\\b', text: Text('ab ', TEXT_LENGTH) },
+	{ name: 'a{1,1000}b', pattern: 'a{1,1000}b', text: 'a'.repeat(TEXT_LENGTH) + 'b' },
+	{ name: '[a-z]{1,200}x', pattern: '[a-z]{1,200}x', text: Text('abcx', TEXT_LENGTH) },
+	{ name: '500 keywords', pattern: Keywords(500), text: Object.values(Keywords(50)).slice(0, 50).join(' ').repeat(25) }
+];
+
+let filter = process.argv[2];
+
+console.log(['pattern', 'NFA states', 'DFA states', 'minimised', 'NFA ms', 'DFA ms', 'minimise ms', 'total ms', 'Search ms', 'FindAll ms', 'matches'].join('\t'));
+
+for (let i = 0; i < PATTERNS.length; i++) {
+	if (filter && !PATTERNS[i].name.includes(filter))
+		continue;
+	
+	let row = { nfa: 0, dfa: 0, minimised: 0, times: { nfa: 0, dfa: 0, minimised: 0 } };
+	let options = Object.assign({}, PATTERNS[i].options, {
+		onStage: function(event) {
+			if (event.stage == 'nfa' && event.rule == null)
+				row.nfa = event.value.end + 1;
+			
+			if (event.stage == 'dfa')
+				row.dfa = event.value.CountStates();
+			
+			if (event.stage == 'minimised')
+				row.minimised = event.value.CountStates();
+			
+			// The NFA stage is reported for each rule and then for the whole regex.
+			if (row.times.hasOwnProperty(event.stage))
+				row.times[event.stage] += event.time;
+		}
+	});
+	
+	let started = Regex.Now();
+	let regex = new Regex(PATTERNS[i].pattern, options);
+	let total = Regex.Now() - started;
+	
+	// Searching is timed on its own, so the first search also finds the DFA's dead states.
+	started = Regex.Now();
+	regex.Search(PATTERNS[i].text);
+	
+	let search = Regex.Now() - started;
+	
+	started = Regex.Now();
+	
+	let matches = regex.FindAll(PATTERNS[i].text, { unique: false }).length;
+	let findAll = Regex.Now() - started;
+	
+	console.log([PATTERNS[i].name, row.nfa, row.dfa, row.minimised, row.times.nfa.toFixed(1), row.times.dfa.toFixed(1), row.times.minimised.toFixed(1), total.toFixed(1), search.toFixed(1), findAll.toFixed(1), matches].join('\t'));
+}
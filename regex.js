@@ -2,138 +2,443 @@
  * Takes a regular expression, converts it into a DFA, and compares input strings against it.
  *
  * @param {string} regex The regex string to parse.
+ * @param {string|Object} [options] A string of flags (e.g. "im", see Regex.FLAGS), or compile
+ *        options (where each flag's letter may be used in place of its name):
+ *   - minimise {boolean} Whether to minimise the DFA after construction (default: true).
+ *   - debug {boolean} Whether to output the parse tree and NFA to the console (default: false).
+ *   - onStage {Function} Called as each stage of compilation finishes (see Regex.prototype.Report).
+ *   - ignoreCase {boolean} Whether to match every case of each character (default: false).
+ *   - dotAll {boolean} Whether '.' also matches line terminators (default: false).
+ *   - multiline {boolean} Whether '^' and '$' also match at line terminators, rather than only at
+ *     the start and end of the input (default: false).
+ *   - unicode {boolean} Whether to read the regex and input a code point at a time (so characters
+ *     outside of the BMP are single characters), allow \u{...} escapes, and use Unicode case
+ *     folding (default: false).
+ *   - maxRepeat {int} The largest number allowed in a {n,m} repetition (default: 1000).
+ *   - maxNFAStates {int} The most states the NFA may have (default: 100000).
+ *   - maxDFAStates {int} The most states the DFA may have before minimisation (default: 10000).
+ *   - engine {string} How input is matched: 'dfa' builds the whole DFA up front, and 'lazy' only
+ *     builds the states the input reaches, for regexs whose DFA would be too large (see LazyDFA)
+ *     (default: 'dfa').
+ *   - maxCachedStates {int} The most states the lazy engine caches at once (default: 1000).
+ *   - conflicts {string} What to do when a rule of a map of rules can never match or matches the
+ *     empty string (see Regex.prototype.Diagnose): 'ignore', 'warn' on the console, or throw a
+ *     RegexRuleError for the first with 'error' (default: 'ignore').
  */
-function Regex(regex) {
+function Regex(regex, options) {
+	// Merge the passed options over the defaults.
+	this.options = Object.assign({}, Regex.DEFAULTS, this.ParseFlags(options));
+	
 	this.AddRegex(regex);
 	this.dfa;
 }
 
 /**
- * Creates and outputs a parse tree of the passed regex.
+ * The default compile options (see Regex).
+ */
+Regex.DEFAULTS = {
+	minimise: true,
+	debug: false,
+	onStage: null,
+	ignoreCase: false,
+	dotAll: false,
+	multiline: false,
+	unicode: false,
+	maxRepeat: 1000,
+	maxNFAStates: 100000,
+	maxDFAStates: 10000,
+	engine: 'dfa',
+	maxCachedStates: 1000,
+	conflicts: 'ignore'
+};
+
+/**
+ * Creates a Regex from the output of Regex.prototype.ToJSON, without compiling anything.
  *
- * @param {string} regex The regex string to parse.
+ * @param {Object|string} compiled The compiled regex, or its JSON string.
+ * @returns {Regex} The regex.
+ * @throws {Error} If the compiled DFA has an unsupported version (see DFA.FromJSON).
+ */
+Regex.FromCompiled = function(compiled) {
+	let regex = Object.create(Regex.prototype);
+	
+	if (typeof compiled == 'string')
+		compiled = JSON.parse(compiled);
+	
+	regex.options = Object.assign({}, Regex.DEFAULTS, compiled.options);
+	regex.rules = compiled.rules;
+	regex.dfa = DFA.FromJSON(compiled.dfa);
+	
+	// Without the NFA, there is nothing to find captures or diagnose rules with.
+	regex.nfa = null;
+	regex.groups = [];
+	regex.vm = null;
+	
+	return regex;
+}
+
+/**
+ * The option each flag letter stands for, as in RegExp.
+ */
+Regex.FLAGS = {
+	i: 'ignoreCase',
+	m: 'multiline',
+	s: 'dotAll',
+	u: 'unicode'
+};
+
+/**
+ * Converts the flags or options passed to the constructor into options.
+ *
+ * @param {string|Object} [options] A string of flags, or options which may use flag letters.
+ * @returns {Object} The options, with every flag letter replaced by its name.
+ * @throws {RegexSyntaxError} If a string of flags contains an unknown flag.
+ */
+Regex.prototype.ParseFlags = function(options) {
+	let parsed = {};
+	
+	if (typeof options == 'string') {
+		for (let i = 0; i < options.length; i++) {
+			if (!Regex.FLAGS.hasOwnProperty(options[i]))
+				throw new RegexSyntaxError('BAD_FLAG', "Unknown flag '" + options[i] + "'.", options, i);
+			
+			parsed[Regex.FLAGS[options[i]]] = true;
+		}
+		
+		return parsed;
+	}
+	
+	for (let key in options)
+		parsed[Regex.FLAGS.hasOwnProperty(key) ? Regex.FLAGS[key] : key] = options[key];
+	
+	return parsed;
+}
+
+/**
+ * Finds the current time, for timing the stages of compilation.
+ *
+ * @returns {number} The current time in milliseconds (as precisely as is available).
+ */
+Regex.Now = function() {
+	return typeof performance != 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * The symbol of each kind of assertion. '^' and '$' are 'lineStart' and 'lineEnd' with the
+ * multiline option, and 'start' and 'end' without it.
+ */
+Regex.ASSERTIONS = {
+	start: '^',
+	end: '$',
+	lineStart: '^',
+	lineEnd: '$',
+	wordBoundary: '\\b',
+	notWordBoundary: '\\B'
+};
+
+/**
+ * Creates and outputs a parse tree of the passed regex, and builds its DFA. If a map of rule names
+ * to regex strings is passed instead, the rules are combined into a single DFA whose accepting
+ * states are tagged with the rule they accept (see Tokenize).
+ *
+ * @param {string|Object<string, string>} regex The regex string to parse, or a map of rule names
+ *        to regex strings (in priority order).
  */
 Regex.prototype.AddRegex = function(regex) {
-	// Builds a parse tree from the passed regex.
-	let regexTree = this.BuildParseTree(regex);
+	let nfa;
+	
+	// A single regex string is built into a plain NFA, which is kept to find what its groups
+	// capture.
+	if (typeof regex == 'string') {
+		this.rules = null;
+		nfa = this.BuildRuleNFA(regex, null);
+		this.vm = this.groups.length > 0 ? new PikeVM(nfa, this.options) : null;
+	}
+	
+	// A map of rules is built into one NFA per rule, which are then combined into a tagged NFA.
+	else {
+		let nfas = [];
+		this.rules = Object.keys(regex);
+		
+		for (let i = 0; i < this.rules.length; i++)
+			nfas.push(this.BuildRuleNFA(regex[this.rules[i]], this.rules[i]));
+		
+		let started = Regex.Now();
+		
+		nfa = new NFA().Tagged(nfas);
+		this.Report('nfa', nfa, started, null);
+		
+		// Tokens don't report captures, so the groups of the rules only group.
+		this.groups = [];
+		this.vm = null;
+	}
+	
+	this.nfa = nfa;
 	
-	// Build an NFA for the parse tree.
-	let nfa = this.BuildNFA(regexTree[0]);
+	if (this.options.engine == 'lazy')
+		this.dfa = new LazyDFA(nfa, this.options);
+	else if (this.options.engine == 'dfa')
+		this.dfa = new SubsetConstruction(nfa, this.options);
+	else
+		throw new Error("Unknown engine '" + this.options.engine + "' (expected 'dfa' or 'lazy').");
 	
-	// Outputs the parse tree.
-	this.Print(regexTree);
+	if (this.options.conflicts != 'ignore' && this.options.conflicts != 'warn' && this.options.conflicts != 'error')
+		throw new Error("Unknown conflicts option '" + this.options.conflicts + "' (expected 'ignore', 'warn' or 'error').");
 	
-	// Output the NFA.
-	nfa.Print();
+	if (this.rules != null && this.options.conflicts != 'ignore')
+		this.CheckRules();
+}
+
+/**
+ * Builds a parse tree for the passed regex, and builds an NFA from it.
+ *
+ * @param {string} regex The regex string to parse.
+ * @param {string} rule The name of the rule the regex is for (null if it is the only regex).
+ * @returns {NFA} An NFA representing the regex.
+ */
+Regex.prototype.BuildRuleNFA = function(regex, rule) {
+	// Builds a parse tree from the passed regex.
+	let regexTree = this.BuildParseTree(regex, rule);
+	let started = Regex.Now();
+	
+	// Build and return an NFA for the parse tree.
+	let nfa = this.BuildNFA(regexTree);
 	
-	this.dfa = new SubsetConstruction(nfa);
+	this.Report('nfa', nfa, started, rule);
+	
+	return nfa;
 }
 
 /**
  * Tokenizes the regex and builds a parse tree from this.
  *
  * @param {string} regex The regex string to parse.
- * @returns {tree} A parse tree representing the input regex.
+ * @param {string} [rule] The name of the rule the regex is for (null if it is the only regex).
+ * @returns {Node} The root node of a parse tree representing the input regex.
  */
-Regex.prototype.BuildParseTree = function(regex) {
+Regex.prototype.BuildParseTree = function(regex, rule) {
+	let started = Regex.Now();
+	
 	// Get an array of tokens representing the regex string.
 	let tokens = this.TokenizeRegex(regex);
 	
-	// Convert and return the array of tokens to a tree of tokens.
-	return this.ParseTokens(tokens);
+	this.Report('tokens', tokens, started, rule);
+	started = Regex.Now();
+	
+	// Convert the array of tokens to a tree of nodes.
+	let tree = this.ParseTokens(tokens);
+	
+	this.Report('ast', tree, started, rule);
+	
+	return tree;
+}
+
+/**
+ * Reports a finished stage of compilation to the onStage option, which is passed an object
+ * { stage, value, time, rule }, where:
+ *   - stage is 'tokens', 'ast' or 'nfa' (or 'dfa' or 'minimised', see SubsetConstruction).
+ *   - value is what the stage built: an array of Tokens, the root Node of the parse tree, or an
+ *     NFA (or a DFA).
+ *   - time is how long the stage took, in milliseconds.
+ *   - rule is the name of the rule being built, when a map of rules is passed. It is null for the
+ *     NFA combining every rule, and for the stages of a single regex.
+ *
+ * With the debug option, the parse tree and (final) NFA are also output to the console.
+ *
+ * @param {string} stage The stage that finished.
+ * @param {*} value What the stage built.
+ * @param {number} started The time the stage started (see Regex.Now).
+ * @param {string} rule The name of the rule being built, or null.
+ */
+Regex.prototype.Report = function(stage, value, started, rule) {
+	let time = Regex.Now() - started;
+	
+	if (this.options.onStage)
+		this.options.onStage({ stage: stage, value: value, time: time, rule: rule == undefined ? null : rule });
+	
+	if (this.options.debug && stage == 'ast')
+		this.Print(value);
+	
+	if (this.options.debug && stage == 'nfa' && rule == null)
+		value.Print();
 }
 
 /**
- * Builds an NFA from the root nodes.
+ * Builds an NFA from a node of the parse tree, via Thompson's construction.
  *
- * @param {Token} token A token representing some subtree of the regex parse tree.
+ * @param {Node} node A node representing some subtree of the regex parse tree.
  * @returns {NFA} An NFA representing the current subtree.
+ * @throws {RegexLimitError} If the NFA would have more than maxNFAStates states.
  */
-Regex.prototype.BuildNFA = function(token) {
+Regex.prototype.BuildNFA = function(node) {
 	let nfa = new NFA();
+	let result = this.BuildNodeNFA(node, nfa);
+	
+	this.CheckNFASize(result.end + 1);
+	
+	return result;
+}
+
+/**
+ * Checks that an NFA with the given number of states is within the maxNFAStates limit.
+ *
+ * @param {int} states The number of states.
+ * @throws {RegexLimitError} If there are more than maxNFAStates states.
+ */
+Regex.prototype.CheckNFASize = function(states) {
+	if (states > this.options.maxNFAStates)
+		throw new RegexLimitError('NFA_TOO_LARGE', "The NFA would have " + states + " states, more than the limit of " + this.options.maxNFAStates + ".", this.options.maxNFAStates);
+}
+
+/**
+ * Builds the NFA of a single node of the parse tree (building the NFAs of its children via
+ * BuildNFA).
+ *
+ * @param {Node} node A node representing some subtree of the regex parse tree.
+ * @param {NFA} nfa An empty NFA, used to combine the NFAs of the children.
+ * @returns {NFA} An NFA representing the current subtree.
+ */
+Regex.prototype.BuildNodeNFA = function(node, nfa) {
+	let result;
 	
-	// If the token represents an 'ab' or 'a|b' NFA, return said NFA.
-	if (token.type == 'expr' && token.value.constructor == Array) {
-		let a, b, ab;
+	switch (node.type) {
+		// A character or class is a single transition. Ignoring case, it is a transition on every
+		// case of its characters.
+		case 'Char':
+			if (this.options.ignoreCase)
+				return nfa.Singular(new CharSet([[node.value.codePointAt(0), node.value.codePointAt(0)]], false).CaseFolded(this.options.unicode));
+			
+			return nfa.Singular(node.value);
 		
-		// The token has two values, so must be an 'ab' NFA.
-		if (token.value.length == 2) {
-			a = this.BuildNFA(token.value[0]);
-			b = this.BuildNFA(token.value[1]);
-			ab = nfa.And(a, b);
-		}
+		case 'Class':
+			if (this.options.ignoreCase)
+				return nfa.Singular(node.set.CaseFolded(this.options.unicode));
+			
+			return nfa.Singular(node.set);
 		
-		// The token has three values, so must be an 'a|b' NFA.
-		else if (token.value.length == 3) {
-			a = this.BuildNFA(token.value[0]);
-			b = this.BuildNFA(token.value[2]);
-			ab = nfa.Or(a, b);
-		}
+		// The empty string is a single empty transition.
+		case 'Empty':
+			return nfa.Singular(null);
 		
-		// The token has 0, 1, or more than 3 values, so is unknown.
-		else {
-			throw "ERROR";
-		}
+		// An assertion is a single transition that reads nothing, but may only be taken when the
+		// characters around it allow.
+		case 'Assert':
+			return nfa.Assertion(node.kind);
 		
-		// If the token is encapsulated by a * (zero or more occurances), find the NFA representing this.
-		if (token.repetitions[1] == -1)
-			ab = nfa.Asterisk(ab);
+		// Each child must be matched in turn, so join their NFAs with 'and's.
+		case 'Concat':
+			result = this.BuildNFA(node.children[0]);
+			
+			for (let i = 1; i < node.children.length; i++)
+				result = nfa.And(result, this.BuildNFA(node.children[i]));
+			
+			return result;
 		
-		return ab;
-	}
-	
-	// If the token represents a single character ('a'), return the NFA of this.
-	else {
-		return nfa.Singular(token.value.value);
+		// Any one child may be matched, so join their NFAs with 'or's.
+		case 'Alt':
+			result = this.BuildNFA(node.children[0]);
+			
+			for (let i = 1; i < node.children.length; i++)
+				result = nfa.Or(result, this.BuildNFA(node.children[i]));
+			
+			return result;
+		
+		// A capturing group saves the positions of its start and end (see PikeVM).
+		case 'Group':
+			return nfa.Group(this.BuildNFA(node.child), node.number);
+		
+		// The child's NFA is built once, and copied as many times as needed.
+		case 'Repeat':
+			result = this.BuildNFA(node.child);
+			
+			// Each copy needs at most two states more than the child, so check the limit before
+			// making the copies.
+			this.CheckNFASize((result.end + 3) * Math.max(node.min + 1, node.max));
+			
+			return nfa.Repeat(result, node.min, node.max);
+		
+		default:
+			throw this.SyntaxError('UNPARSEABLE', "Couldn't build an NFA for the expression from here.", node.index);
 	}
 }
 
 /**
  * Outputs a string interpretation of the given parse tree.
  *
- * @param {tree} tree The parse tree representing a regex string.
+ * @param {Node} tree The parse tree representing a regex string.
  */
 Regex.prototype.Print = function(tree) {
 	// Output the parse tree to the console as a string.
-	console.log(this.AsString(tree[0], ""));
+	console.log(this.AsString(tree, ""));
 }
 
 /**
- * Finds and returns a string interpretation of the given parse tree.
+ * Finds and returns a string interpretation of the given parse tree, with every alternation and
+ * repetition wrapped in parentheses.
  *
- * @param {Token} token A 'Token' object that represents a regex expression.
+ * @param {Node} node A 'Node' object that represents a regex expression.
  * @param {string} str The string to append values to.
  * @returns {string} A string interpretation of the regex parse tree.
  */
-Regex.prototype.AsString = function(token, str) {
-	// If the token represents an expression and has an object (Array) type, add its children to the string.
-	if (token.type == 'expr' && token.value.constructor == Array) {
+Regex.prototype.AsString = function(node, str) {
+	switch (node.type) {
+		// Add each child in turn.
+		case 'Concat':
+			for (let i = 0; i < node.children.length; i++)
+				str = this.AsString(node.children[i], str);
+			
+			break;
 		
-		// Signify that this is the start of an expression by using a left parenthesis.
-		str += '(';
-
-		// For every child of the given token, recursively add its value to the string.
-		for (let i = 0; i < token.value.length; i++) {
-			//console.log("--",token.value);
-			str = this.AsString(token.value[i], str);
-		}
+		// Add each child, separated by ors (|) and surrounded by parentheses.
+		case 'Alt':
+			str += '(';
+			
+			for (let i = 0; i < node.children.length; i++) {
+				if (i > 0)
+					str += '|';
+				
+				str = this.AsString(node.children[i], str);
+			}
+			
+			str += ')';
+			break;
 		
-		// Signify that this is the end of an expression by using a right parenthesis.
-		str += ')';
+		// Add the child in parentheses, followed by the number of repetitions.
+		case 'Repeat':
+			str = this.AsString(node.child, str + '(') + ')';
+			
+			if (node.min == 0 && node.max == -1)
+				str += '*';
+			else if (node.min == 1 && node.max == -1)
+				str += '+';
+			else if (node.min == 0 && node.max == 1)
+				str += '?';
+			else if (node.min == node.max)
+				str += '{' + node.min + '}';
+			else
+				str += '{' + node.min + ',' + (node.max == -1 ? '' : node.max) + '}';
+			
+			break;
 		
-		// Signify that this token can be repeated 0 or more times.
-		if (token.repetitions[1] == -1)
-			str += '*';
-	}
-	
-	// If 
-	else if (token.type == 'expr' && token.value.constructor == this.Token){
-		str = this.AsString(token.value, str);
-	}
-	
-	// Otherwise, the token represents a character or an or (|).
-	else {
-		str += token.value;
+		// Add the class in bracket form.
+		case 'Class':
+			str += node.set.ToString();
+			break;
+		
+		// Add the character, escaped if it would otherwise have a special meaning.
+		case 'Char':
+			str += '\\()[]{}|*+?.,^$'.includes(node.value) ? '\\' + node.value : node.value;
+			break;
+		
+		// Add the assertion's symbol.
+		case 'Assert':
+			str += Regex.ASSERTIONS[node.kind];
+			break;
+		
+		// Add the child in parentheses, after the group's name if it has one.
+		case 'Group':
+			str = this.AsString(node.child, str + (node.name == null ? '(' : '(?<' + node.name + '>')) + ')';
+			break;
 	}
 	
 	// Return the generated string.
@@ -141,467 +446,784 @@ Regex.prototype.AsString = function(token, str) {
 }
 
 /**
- * Repeatedly expand and merge the token arrays until either all expressions are represented as
- * part of one main expression, or the number of repeats accepted (to prevent an infinite loop from
- * occuring) has been reached.
+ * Writes a parse tree as a regex string, with only the parentheses the grammar needs (see
+ * ParseTokens), so that parsing the string gives the same tree. Parentheses added for grouping are
+ * non-capturing, and characters are escaped where they would otherwise have a special meaning or
+ * can't be seen.
  *
- * @param {Array<Token>} tokens An array of 'Token' objects that represent the regular expression.
- * @returns {Array<Token>} An array of tokens, containing only one element (assuming the maximum
- *           number of repeats hasn't been reached) that acts as a root node to the tree.
+ * @param {Node} node The root of the parse tree.
+ * @param {int} [precedence] The precedence of the node's parent: 0 for an alternation (or none),
+ *        1 for a concatenation, and 2 for a repetition (default: 0).
+ * @returns {string} The regex string.
  */
-Regex.prototype.ParseTokens = function(tokens) {
-	// Input:
-	// <'meta', '(', (1,1)>
-	// <'char', 'a', (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'char', 'b', (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'char', 'c', (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'char', 'd', (1,1)>
-	// <'meta', ')', (1,-1)>
-	// <'char', 'b', (3,5)>
-	// <'meta', '(', (1,1)>
-	// <'char', 'c', (1,1)>
-	// <'char', 'b', (0,1)>
-	// <'meta', '|', (1,1)>
-	// <'char', 'd', (1,1)>
-	// <'meta', ')', (0,-1)>
-	
-	// Output:
-	// <'expr', [<'expr', [<'expr', [<'expr', [<'expr', 'a', (1,1)>,
-	//                                         <'meta', '|', (1,1)>,
-	//                                         <'expr', 'b', (1,1)>], (1,1)>,
-	//                               <'meta', '|', (1,1)>,
-	//                               <'expr', 'c', (1,1)>], (1,1)>,
-	//                     <'meta', '|', (1,1)>,
-	//                     <'expr', 'd', (1,1)>], (1,1)>,
-	//           <'expr', [<'expr', [<'expr', [<'expr', [<'expr', [<'expr', 'a', (1,1)>,
-	//                                                             <'meta', '|', (1,1)>,
-	//                                                             <'expr', 'b', (1,1)>], (1,1)>,
-	//                                                   <'meta', '|', (1,1)>,
-	//                                                   <'expr', 'c', (1,1)>], (1,1)>,
-	//                                         <'meta', '|', (1,1)>,
-	//                                         <'expr', 'd', (1,1)>], (0,-1)>,
-	//                               <'expr', [<'expr', [<'expr', [<'expr', [<'expr', <'char', 'b', (1,1)>, (1,1)>,
-	//                                                                       <'expr', <'char', 'b', (1,1)>, (1,1)>], (1,1)>,
-	//                                                             <'expr', <'char', 'b', (1,1)>, (1,1)>], (1,1)>,
-	//                                                   <'expr', [<'char', null, (1,1)>,
-	//	                                                           <'meta', '|', (1,1)>,
-	//	                                                           <'char', 'b', (1,1)>], (1,1)>], (1,1)>,
-	//                                         <'expr', [<'char', null, (1,1)>,
-	//	                                                 <'meta', '|', (1,1)>,
-	//	                                                 <'char', 'b', (1,1)>], (1,1)>], (1,1)>], (1,1)>,
-	//                     <'expr', [<'expr', [<'expr', <'char', 'c', (1,1)>, (1,1)>,
-	//                                         <'expr', [<'char', null, (1,1)>,
-	//	                                                 <'meta', '|', (1,1)>,
-	//	                                                 <'char', 'b', (1,1)>], (1,1)>], (1,1)>,
-	//                               <'meta', '|', (1,1)>,
-	//                               <'expr', <'char', 'd', (1,1)>, (1,1)>], (0,-1)>], (1,1)>], (1,1)>
-	//
-	// (I don't believe there are any errors in the above, but it was quite tedious to work out, so I may have missed a couple.)
-	
-	// Assigns repetition values to the tokens, allowing the regex to be represented via only
-	// characters, '|', parentheses, and '*'.
-	//tokens = this.AssignRepetitions(tokens);
-	tokens = this.CharsToExprs(tokens);
-	
-	return this.TokenArrayToTree(tokens);
-}
-
-Regex.prototype.TokenArrayToTree = function(tokens) {
-	// The number of repeats of expanding and merging before the loop is forceably exited.
-	let repeatsLeft = 10;
-	
-	// While the array of tokens has more than one root, keep trying to merge to a single root.
-	while (tokens.length != 1 && repeatsLeft > 0) {
-		
-		// The tokens are expanded by explicitly repeating sequences such as a+, a{3,5}, etc, and
-		// by converting a{0, n} to n repeats of (a|empty).
-		tokens = this.ExpandExpressions(tokens);
-		
-		// The tokens are merged by combining expanded sub-expressions into compound expressions.
-		tokens = this.MergeExpressions(tokens);
-
-		// Decrement the number of repeats left.
-		repeatsLeft -= 1;
-	}
-	
-	// Return the array of token(s).
-	return tokens;
-}
-
-Regex.prototype.CharsToExprs = function(tokens) {
-	// Input:
-	// <'meta', '(', (1,1)>
-	// <'char', 'a', (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'char', 'b', (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'char', 'c', (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'char', 'd', (1,1)>
-	// <'meta', ')', (1,-1)>
-	// <'char', 'b', (3,5)>
-	// <'meta', '(', (1,1)>
-	// <'char', 'c', (1,1)>
-	// <'char', 'b', (0,1)>
-	// <'meta', '|', (1,1)>
-	// <'char', 'd', (1,1)>
-	// <'meta', ')', (0,-1)>
-	
-	// Output:
-	// <'meta', '(', (1,1)>
-	// <'expr', <'char', 'a', (1,1)>, (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'b', (1,1)>, (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'c', (1,1)>, (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'd', (1,1)>, (1,1)>
-	// <'meta', ')', (1,-1)>
-	// <'expr', <'char', 'b', (1,1)>, (3,5)>
-	// <'meta', '(', (1,1)>
-	// <'expr', <'char', 'c', (1,1)>, (1,1)>
-	// <'expr', <'char', 'b', (1,1)>, (0,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'd', (1,1)>, (1,1)>
-	// <'meta', ')', (0,-1)>
+Regex.prototype.ToSource = function(node, precedence) {
+	let self = this;
+	let str, level;
 	
-	let n = tokens.length;
-	let newTokens = [];
-	let newToken;
+	precedence = precedence || 0;
 	
-	// For each character token, assign it as the only leaf node of an expression.
-	for (let i = 0; i < n; i++) {
-		if (tokens[i].type == 'char') {
-			// Set the character repetitions to [1,1], and assign the characters original repetitions to the expression.
-			newToken = new this.Token(tokens[i].type, tokens[i].value, [1,1]);
-			newTokens.push(new this.Token('expr', newToken, tokens[i].repetitions));
-		} else {
-			// Add the non-character token to the array.
-			newTokens.push(tokens[i].Copy());
-		}
+	switch (node.type) {
+		case 'Alt':
+			level = 0;
+			str = node.children.map(function(child) { return self.ToSource(child, 0); }).join('|');
+			break;
+		
+		case 'Concat':
+			level = node.children.length == 1 ? 2 : 1;
+			str = node.children.map(function(child) { return self.ToSource(child, 1); }).join('');
+			break;
+		
+		// A repetition's child must be a single atom, and an assertion can't be repeated directly.
+		case 'Repeat':
+			level = 1;
+			str = this.ToSource(node.child, 2);
+			
+			if (node.child.type == 'Assert')
+				str = '(?:' + str + ')';
+			
+			if (node.min == 0 && node.max == -1)
+				str += '*';
+			else if (node.min == 1 && node.max == -1)
+				str += '+';
+			else if (node.min == 0 && node.max == 1)
+				str += '?';
+			else if (node.min == node.max)
+				str += '{' + node.min + '}';
+			else
+				str += '{' + node.min + ',' + (node.max == -1 ? '' : node.max) + '}';
+			
+			break;
+		
+		// Every character is a class of its own, which is written as [\s\S] rather than [^].
+		case 'Class':
+			level = 2;
+			str = node.set.ranges.length == 1 && node.set.ranges[0][0] == 0 && node.set.ranges[0][1] == CharSet.MAX ? '[\\s\\S]' : node.set.ToString();
+			break;
+		
+		case 'Char':
+			level = 2;
+			str = this.EscapeChar(node.value);
+			break;
+		
+		case 'Assert':
+			level = 2;
+			str = Regex.ASSERTIONS[node.kind];
+			break;
+		
+		case 'Group':
+			return (node.name == null ? '(' : '(?<' + node.name + '>') + this.ToSource(node.child, 0) + ')';
+		
+		// Only a repetition needs the empty string in parentheses (as in '(?:)*').
+		case 'Empty':
+			level = 1;
+			str = '';
+			break;
 	}
 	
-	return newTokens;
+	return level < precedence ? '(?:' + str + ')' : str;
 }
 
 /**
- * Push copies of a given expression onto the token array n times.
+ * Escapes a character for a regex string: a character with a special meaning is preceded by a
+ * backslash, and a character that can't be seen is written as an escape sequence.
  *
- * @param {Array<Token>} tokens An array of 'Token' objects.
- * @param {int} n The number of times to add a copy of the token onto the array.
- * @param {Token} token The token to copy onto the array.
- *
- * @returns {Array<Token>} The array of token objects, with n repeats of the expression added on.
+ * @param {string} char The character (which may be a surrogate pair).
+ * @returns {string} The escaped character.
  */
-Regex.prototype.PushExpressions = function(tokens, n, token) {
-	// Add n copies of the token to the array of tokens.
-	for (let i = 0; i < n; i++) {
-		tokens.push(token.Copy());
-	}
+Regex.prototype.EscapeChar = function(char) {
+	let controls = { '\n': 'n', '\t': 't', '\r': 'r', '\f': 'f', '\v': 'v', '\0': '0' };
+	let code = char.codePointAt(0);
 	
-	// Return the array of tokens with the copied tokens added.
-	return tokens;
+	if (controls.hasOwnProperty(char))
+		return '\\' + controls[char];
+	
+	if (code > 0xFFFF)
+		return '\\u{' + code.toString(16) + '}';
+	
+	if (code < 0x20 || code > 0x7E)
+		return '\\u' + ('000' + code.toString(16)).slice(-4);
+	
+	return '\\()[]{}|*+?.,^$'.includes(char) ? '\\' + char : char;
 }
 
 /**
- * Create a new expression representing (empty | a) for some expression a = 'orToken'.
- *
- * @param {Token} orToken The token to be combined with 'empty' in an or expression.
+ * Builds the alternation of two parse trees (see Regex.prototype.Alternatives).
  *
- * @returns {Token} The token representing the or expression.
+ * @param {Node} a The first alternative (or null).
+ * @param {Node} b The second alternative (or null).
+ * @returns {Node} The alternation (or null if neither matches anything).
  */
-Regex.prototype.GetEmptyOr = function(orToken) {
-	// Create an (empty | a) expression.
-	let expression = [
-		new this.Token('expr',new this.Token('char',null,[1,1]),[1,1]),
-		new this.Token('meta','|',[1,1]),
-		orToken
-	];
-	
-	// Add the expression to a new token.
-	let newToken = new this.Token('expr', expression, [1,1]);
-	
-	// Return the new token.
-	return newToken;
+Regex.prototype.Alternation = function(a, b) {
+	return this.Alternatives([a, b]);
 }
 
-Regex.prototype.ExpandExpressions = function(tokens) {
-	// Input:
-	// <'meta', '(', (1,1)>
-	// <'expr', <'char', 'a', (1,1)>, (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'b', (1,1)>, (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'c', (1,1)>, (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'd', (1,1)>, (1,1)>
-	// <'meta', ')', (1,-1)>
-	// <'expr', <'char', 'b', (1,1)>, (3,5)>
-	// <'meta', '(', (1,1)>
-	// <'expr', <'char', 'c', (1,1)>, (1,1)>
-	// <'expr', <'char', 'b', (1,1)>, (0,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'd', (1,1)>, (1,1)>
-	// <'meta', ')', (0,-1)>
+/**
+ * Builds the alternation of some parse trees, simplifying where it can:
+ *   - An alternative is only kept once (so a|a is a).
+ *   - An empty or optional alternative makes the rest optional (so (|a) is a?, and a?|bc is
+ *     (?:a|bc)?).
+ *   - Alternatives of single characters or classes are merged into a class (so a|b|[0-9] is
+ *     [0-9a-b]).
+ *   - A first or last part that alternatives have in common is factored out of them (so if|in|int
+ *     is i(?:f|nt?), and x|ax|bx is [a-b]?x).
+ * A null tree matches nothing, and so is left out. Alternatives are only merged, reordered or
+ * factored if none of them has a capturing group, as groups are numbered by position, and what
+ * they capture depends on the order the alternatives are tried in.
+ *
+ * @param {Array<Node>} nodes The alternatives (any of which may be null).
+ * @returns {Node} The alternation (or null if none of them matches anything).
+ */
+Regex.prototype.Alternatives = function(nodes) {
+	let self = this;
+	let children = [];
+	let seen = {};
+	let empty = false;
+	let groups, result;
 	
-	// Output:
-	// <'meta', '(', (1,1)>
-	// <'expr', <'char', 'a', (1,1)>, (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'b', (1,1)>, (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'c', (1,1)>, (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'd', (1,1)>, (1,1)>
-	// <'meta', ')', (1,-1)>
-	// <'expr', <'char', 'b', (1,1)>, (1,1)>
-	// <'expr', <'char', 'b', (1,1)>, (1,1)>
-	// <'expr', <'char', 'b', (1,1)>, (1,1)>
-	// <'expr', [<'char', null, (1,1)>,
-	//	         <'meta', '|', (1,1)>,
-	//	         <'char', 'b', (1,1)>], (1,1)>
-	// <'expr', [<'char', null, (1,1)>,
-	//	         <'meta', '|', (1,1)>,
-	//	         <'char', 'b', (1,1)>], (1,1)>
-	// <'meta', '(', (1,1)>
-	// <'expr', <'char', 'c', (1,1)>, (1,1)>
-	// <'expr', [<'char', null, (1,1)>,
-	//	         <'meta', '|', (1,1)>,
-	//	         <'char', 'b', (1,1)>], (1,1)>
-	// <'meta', '|', (1,1)>
-	// <'expr', <'char', 'd', (1,1)>, (1,1)>
-	// <'meta', ')', (0,-1)>
+	nodes = nodes.filter(function(node) { return node != null; });
 	
-	let n = tokens.length;
-	let newTokens = [];
-	let minimum, maximum;
-	let newToken;
-	let newExpressions;
+	if (nodes.length == 0)
+		return null;
 	
+	groups = nodes.some(function(node) { return self.HasGroups(node); });
 	
-	// Repeat all expressions the required number of times.
-	for (let i = 0; i < n; i++) {
-		newToken = tokens[i].Copy();
+	let add = function(child) {
+		let key;
 		
-		if (tokens[i].type == 'expr') {
-			[minimum, maximum] = tokens[i].repetitions;
-			
-			// The token is a*, so add it as is.
-			if (minimum == 0 && maximum == -1) {
-				newTokens.push(newToken);
-			}
-			
-			// The token is a{0,n} where n > 0, so add n (empty|a) expressions.
-			else if (minimum == 0 && maximum > 0) {
-				newExpressions = this.PushExpressions([], maximum, this.GetEmptyOr(newToken));
-				newTokens.push(this.TokenArrayToTree(newExpressions)[0]);
-			}
-			
-			// The token is a{n,n} where n > 0, so add n 'a' expressions.
-			else if (minimum > 0 && minimum == maximum) {
-				newToken.repetitions = [1,1]
-				newExpressions = this.PushExpressions([], minimum, newToken);
-				newTokens.push(this.TokenArrayToTree(newExpressions)[0]);
-			}
-			
-			// The token is a{n,m} where 0 < n < m, so add n 'a' expressions and m-n (empty|a) expressions.
-			else if (minimum > 0 && minimum < maximum) {
-				newToken.repetitions = [1,1]
-				newExpressions = this.PushExpressions([], minimum, newToken);
-				newExpressions = this.PushExpressions(newExpressions, maximum - minimum, this.GetEmptyOr(newToken));
-				newTokens.push(this.TokenArrayToTree(newExpressions)[0]);
-			}
-			
-			// The token is a{n,-1}, so add n 'a' expressions and a single a* expression.
-			else if (minimum > 0 && maximum == -1) {
-				newToken.repetitions = [1,1]
-				newExpressions = this.PushExpressions([], minimum, newToken);
-				
-				newToken.repetitions = [0,-1]
-				newExpressions.push(newToken.Copy());
-				
-				newTokens.push(this.TokenArrayToTree(newExpressions)[0]);
-				
-			}
-			
-			// The token is none of the above, so something must be wrong.
-			// The token must be undefined or a{n,m} where:
-			//   - n < 0 or
-			//   - m < -1 or
-			//   - n > m and m != -1 or
-			//   - n = 0 and m = 0
-			else {
-				throw "ERROR", newToken;
-			}
+		if (child.type == 'Alt')
+			return child.children.forEach(add);
+		
+		if (child.type == 'Empty' || (child.type == 'Concat' && child.children.length == 0)) {
+			empty = true;
+			return;
 		}
 		
-		// The token wasn't an expression, so add it as is.
-		else {
-			newTokens.push(newToken);
+		// Without groups, an optional alternative is its tree and an empty alternative.
+		if (!groups && child.type == 'Repeat' && child.min == 0 && child.max == 1) {
+			empty = true;
+			return add(child.child);
 		}
-	}
+		
+		key = self.ToSource(child);
+		
+		// Groups are numbered by position, so a group is never left out.
+		if (!seen.hasOwnProperty(key) || self.HasGroups(child)) {
+			seen[key] = true;
+			children.push(child);
+		}
+	};
 	
-	return newTokens;
-}
-
-Regex.prototype.EqualRepetitions = function(repetitionsA, repetitionsB) {
-	// True if the two repetition arrays represent the same number of repetitions.
-	return (repetitionsA[0] == repetitionsB[0] && repetitionsA[1] == repetitionsB[1]);
+	nodes.forEach(add);
+	
+	if (!groups)
+		children = this.MergeClasses(this.FactorAlternatives(children));
+	
+	if (children.length == 0)
+		return new this.Node('Empty', {}, 0);
+	
+	result = children.length == 1 ? children[0] : new this.Node('Alt', { children: children }, 0);
+	
+	return empty ? this.SimplifyRepeat(result, 0, 1) : result;
 }
 
-Regex.prototype.HasRepetitions = function(token, repetitionOptions) {
-	let n = repetitionOptions.length;
+/**
+ * Merges the alternatives that are single characters or classes into one class, where the first
+ * of them was (see Regex.prototype.Alternatives).
+ *
+ * @param {Array<Node>} children The alternatives.
+ * @returns {Array<Node>} The alternatives, with at most one character or class.
+ */
+Regex.prototype.MergeClasses = function(children) {
+	let self = this;
+	let ranges = [];
+	let at = -1;
+	let merged;
 	
-	// True if at least one of the repetition options given represents the number of repetitions of the given token.
-	for (let i = 0; i < n; i++) {
-		if (this.EqualRepetitions(token.repetitions, repetitionOptions[i]))
+	children = children.filter(function(child, i) {
+		if (child.type == 'Char')
+			ranges.push([self.CodeOf(child.value), self.CodeOf(child.value)]);
+		else if (child.type == 'Class')
+			ranges = ranges.concat(child.set.ranges);
+		else
 			return true;
-	}
+		
+		if (at == -1)
+			at = i;
+		
+		return at == i;
+	});
 	
-	return false;
+	if (at == -1)
+		return children;
+	
+	merged = new CharSet(ranges, false);
+	children[children.findIndex(function(child) { return child.type == 'Char' || child.type == 'Class'; })] = this.Simplify(new this.Node('Class', { set: merged }, 0));
+	
+	return children;
 }
 
-Regex.prototype.MergeExpressions = function(tokens) {
-	// Input:
-	// 00 <'meta', '(', (1,1)>
-	// 01 <'expr', <'char', 'a', (1,1)>, (1,1)>
-	// 02 <'meta', '|', (1,1)>
-	// 03 <'expr', <'char', 'b', (1,1)>, (1,1)>
-	// 04 <'meta', '|', (1,1)>
-	// 05 <'expr', <'char', 'c', (1,1)>, (1,1)>
-	// 06 <'meta', '|', (1,1)>
-	// 07 <'expr', <'char', 'd', (1,1)>, (1,1)>
-	// 08 <'meta', ')', (1,-1)>
-	// 09 <'expr', <'char', 'b', (1,1)>, (1,1)>
-	// 10 <'expr', <'char', 'b', (1,1)>, (1,1)>
-	// 11 <'expr', <'char', 'b', (1,1)>, (1,1)>
-	// 12 <'expr', [<'char', null, (1,1)>,
-	//	            <'meta', '|', (1,1)>,
-	//	            <'char', 'b', (1,1)>], (1,1)>
-	// 13 <'expr', [<'char', null, (1,1)>,
-	//	            <'meta', '|', (1,1)>,
-	//	            <'char', 'b', (1,1)>], (1,1)>
-	// 14 <'meta', '(', (1,1)>
-	// 15 <'expr', <'char', 'c', (1,1)>, (1,1)>
-	// 16 <'expr', [<'char', null, (1,1)>,
-	//	            <'meta', '|', (1,1)>,
-	//	            <'char', 'b', (1,1)>], (1,1)>
-	// 17 <'meta', '|', (1,1)>
-	// 18 <'expr', <'char', 'd', (1,1)>, (1,1)>
-	// 19 <'meta', ')', (0,-1)>
+/**
+ * Factors the first or last parts that alternatives have in common out of them (see
+ * Regex.prototype.Alternatives). The alternatives are factored from whichever end more of them
+ * have in common first, and then from the other end.
+ *
+ * @param {Array<Node>} children The alternatives, none of which is empty or has a group.
+ * @returns {Array<Node>} The factored alternatives.
+ */
+Regex.prototype.FactorAlternatives = function(children) {
+	let self = this;
 	
-	// Output:
-	// 20. Merge 1, 2 and 3 into an expression. a|b
-	// 21. Merge 20, 4 and 5 into an expression. (a|b)|c
-	// 22. Merge 21, 6 and 7 into an expression. ((a|b)|c)|d
-	// 23. Merge 0, 22 and 8 into an expression. (((a|b)|c)|d){1,-1}
-	// 24. Merge 9 and 10 into an expression. bb
-	// 25. Merge 24 and 11 into an expression (bb)b
-	// 26. Merge 25 and 12 into an expression ((bb)b)(empty|b)
-	// 27. Merge 26 and 13 into an expression (((bb)b)(empty|b))(empty|b)
-	// 28. Merge 15 and 16 into an expression c(empty|b)
-	// 29. Merge 28, 17 and 18 into an expression (c(empty|b))|d
-	// 30. Merge 14, 29 and 19 into an expression ((c(empty|b))|d){0,-1}
-	// Return [23, 27, 30]
-	//
-	// <'expr', [<'expr', [<'expr', [<'expr', 'a', (1,1)>,
-	//                               <'meta', '|', (1,1)>,
-	//                               <'expr', 'b', (1,1)>], (1,1)>,
-	//                     <'meta', '|', (1,1)>,
-	//                     <'expr', 'c', (1,1)>], (1,1)>,
-	//           <'meta', '|', (1,1)>,
-	//           <'expr', 'd', (1,1)>], (1,-1)>
-	// <'expr', [<'expr', [<'expr', [<'expr', [<'expr', <'char', 'b', (1,1)>, (1,1)>,
-	//                                         <'expr', <'char', 'b', (1,1)>, (1,1)>], (1,1)>,
-	//                               <'expr', <'char', 'b', (1,1)>, (1,1)>], (1,1)>,
-	//                     <'expr', [<'char', null, (1,1)>,
-	//	                             <'meta', '|', (1,1)>,
-	//	                             <'char', 'b', (1,1)>], (1,1)>], (1,1)>,
-	//           <'expr', [<'char', null, (1,1)>,
-	//	                   <'meta', '|', (1,1)>,
-	//	                   <'char', 'b', (1,1)>], (1,1)>], (1,1)>
-	// <'expr', [<'expr', [<'expr', <'char', 'c', (1,1)>, (1,1)>,
-	//                     <'expr', [<'char', null, (1,1)>,
-	//	                             <'meta', '|', (1,1)>,
-	//	                             <'char', 'b', (1,1)>], (1,1)>], (1,1)>,
-	//           <'meta', '|', (1,1)>,
-	//           <'expr', <'char', 'd', (1,1)>, (1,1)>], (0,-1)>
-	//
-	// (I don't believe there are any errors in the above, but it was quite tedious to work out, so I may have missed a couple.)
-	
-	let n = tokens.length;
-	let newTokens = [];
-	let token0, token1, token2;
-	
-	// If there are only two expressions in the array of expressions and they both have valid repetitions, merge them.
-	if (n == 2 && tokens[0].type == 'expr' && tokens[1].type == 'expr') {
-		if (this.HasRepetitions(tokens[0], [[0,-1],[1,1]]) && this.HasRepetitions(tokens[1], [[0,-1],[1,1]])) {
-			newTokens.push(new this.Token('expr', [tokens[0].Copy(), tokens[1].Copy()], [1,1]));
-			return newTokens;
-		}
-	}
-	
-	// If the array is empty or only contains 1 element, return it.
-	else if (n < 3) {
-		return tokens;
-	}
-	
-	newTokens[0] = tokens[0].Copy();
-	newTokens[1] = tokens[1].Copy();
-	
-	for (let i = 2; i < n; i++) {
-		// If there aren't enough tokens in the new tokens array to merge, don't bother trying.
-		if (newTokens.length < 2) {
-			newTokens.push(tokens[i].Copy());
-		}
-		
-		// Try to merge the incoming token with the tail of the token array.
-		else {
-			token0 = newTokens[newTokens.length - 2];
-			token1 = newTokens[newTokens.length - 1];
+	let parts = function(node) {
+		return node.type == 'Concat' ? node.children : [node];
+	};
+	
+	// Gathers the alternatives with the same first (or last) part, where the first of them was.
+	let gather = function(nodes, fromEnd) {
+		let groups = [];
+		let keys = {};
+		
+		nodes.forEach(function(node) {
+			let list = parts(node);
+			let part = list[fromEnd ? list.length - 1 : 0];
+			let key = self.ToSource(part, 1);
 			
-			token2 = tokens[i].Copy();
-
-			// If a single expression (surrounded by parentheses) is found, remove the parentheses.
-			if (token0.value == '(' && token1.type == 'expr' && token2.value == ')') {
-				token1.repetitions = token2.repetitions;
-				newTokens.splice(newTokens.length - 2, 2);
-				newTokens.push(token1);
+			if (!keys.hasOwnProperty(key)) {
+				keys[key] = groups.length;
+				groups.push({ part: part, nodes: [] });
 			}
 			
-			// If an expression of the form 'a|b' is found, merge it into a single expression.
-			else if (token0.type == 'expr' && token1.type == 'meta' && token1.value == '|' && token2.type == 'expr') {
-				token1 = new this.Token('expr', [token0, new this.Token('meta','|',[1,1]), token2], [1,1]);
-				newTokens.splice(newTokens.length - 2, 2);
-				newTokens.push(token1);
-			}
+			groups[keys[key]].nodes.push(node);
+		});
+		
+		return groups;
+	};
+	
+	let factor = function(nodes, fromEnd) {
+		return gather(nodes, fromEnd).map(function(group) {
+			if (group.nodes.length == 1)
+				return group.nodes[0];
 			
-			// If an expression 'ab' is found, try to merge this into a single expression.
-			else if (token1.type == 'expr' && token2.type == 'expr') {
-				if (this.HasRepetitions(token1, [[0,-1],[1,1]]) && this.HasRepetitions(token2, [[0,-1],[1,1]])) {
-					token1 = new this.Token('expr', [token1.Copy(), token2.Copy()], [1,1]);
-					newTokens.splice(newTokens.length - 1, 1);
-					newTokens.push(token1);
-				}
+			let rest = group.nodes.map(function(node) {
+				let list = parts(node);
 				
-				// If it can't be merged, just add the expression.
-				else {
-					newTokens.push(token2);
-				}
-			}
+				return (fromEnd ? list.slice(0, -1) : list.slice(1)).reduce(function(x, y) { return self.Sequence(x, y); }, new self.Node('Empty', {}, 0));
+			});
 			
-			// If no merge can be found, just add the token to the new token array.
-			else {
-				newTokens.push(token2);
+			rest = self.Alternatives(rest);
+			
+			return fromEnd ? self.Sequence(rest, group.part) : self.Sequence(group.part, rest);
+		});
+	};
+	
+	let largest = function(fromEnd) {
+		return Math.max.apply(null, gather(children, fromEnd).map(function(group) { return group.nodes.length; }));
+	};
+	
+	if (children.length < 2)
+		return children;
+	
+	let fromEnd = largest(true) > largest(false);
+	
+	return factor(factor(children, fromEnd), !fromEnd);
+}
+
+/**
+ * Builds the concatenation of two parse trees, simplifying where it can: an empty tree is left
+ * out, and a tree next to its own repetition makes it repeat at least once (so aa* is a+).
+ *
+ * @param {Node} a The first tree (or null, which matches nothing).
+ * @param {Node} b The second tree (or null).
+ * @returns {Node} The concatenation (or null if either matches nothing).
+ */
+Regex.prototype.Sequence = function(a, b) {
+	let self = this;
+	let children = [];
+	
+	if (a == null || b == null)
+		return null;
+	
+	// Trees with groups are never merged, so that every group is kept.
+	let source = function(nodes) {
+		if (nodes.some(function(node) { return self.HasGroups(node); }))
+			return null;
+		
+		return nodes.map(function(node) { return self.ToSource(node, 1); }).join('');
+	};
+	
+	[a, b].forEach(function(node) {
+		(node.type == 'Concat' ? node.children : [node]).forEach(function(child) {
+			let last = children[children.length - 1];
+			let body, before;
+			
+			if (child.type == 'Empty')
+				return;
+			
+			// The trees before a repetition are the same as what it repeats (xx*).
+			if (child.type == 'Repeat' && child.min == 0 && child.max == -1) {
+				body = child.child.type == 'Concat' ? child.child.children : [child.child];
+				before = children.slice(children.length - body.length);
+				
+				if (before.length == body.length && source(before) != null && source(before) == source(body)) {
+					children.splice(children.length - body.length, body.length, new self.Node('Repeat', { child: child.child, min: 1, max: -1 }, 0));
+					return;
+				}
 			}
-		}
+			
+			// A repetition is followed by a single tree that it repeats (x*x).
+			if (last && last.type == 'Repeat' && last.min == 0 && last.max == -1 && source([child]) != null && source([last.child]) == source([child])) {
+				children[children.length - 1] = new self.Node('Repeat', { child: last.child, min: 1, max: -1 }, 0);
+				return;
+			}
+			
+			children.push(child);
+		});
+	});
+	
+	if (children.length == 0)
+		return new this.Node('Empty', {}, 0);
+	
+	return children.length == 1 ? children[0] : new this.Node('Concat', { children: children }, 0);
+}
+
+/**
+ * Builds the repetition (any number of times) of a parse tree, simplifying where it can: a
+ * repetition of something that matches nothing or only the empty string is empty, and a? or a+
+ * repeated is a*.
+ *
+ * @param {Node} node The tree to repeat (or null, which matches nothing).
+ * @returns {Node} The repetition.
+ */
+Regex.prototype.Star = function(node) {
+	if (node == null || node.type == 'Empty')
+		return new this.Node('Empty', {}, 0);
+	
+	if (node.type == 'Repeat' && node.min <= 1 && (node.max == -1 || node.max == 1))
+		return new this.Node('Repeat', { child: node.child, min: 0, max: -1 }, 0);
+	
+	return new this.Node('Repeat', { child: node, min: 0, max: -1 }, 0);
+}
+
+/**
+ * Checks whether a parse tree has any capturing groups.
+ *
+ * @param {Node} node The root of the tree.
+ * @returns {boolean} True if the tree has a group.
+ */
+Regex.prototype.HasGroups = function(node) {
+	let self = this;
+	
+	switch (node.type) {
+		case 'Group':
+			return true;
+		
+		case 'Alt':
+		case 'Concat':
+			return node.children.some(function(child) { return self.HasGroups(child); });
+		
+		case 'Repeat':
+			return this.HasGroups(node.child);
+	}
+	
+	return false;
+}
+
+/**
+ * Simplifies a parse tree into a shorter one that matches the same words, by (from the leaves up):
+ *   - Joining repetitions of the same thing next to each other, so aaa is a{3} and aa? is a{1,2}.
+ *   - Leaving out repeated alternatives, and making the rest optional if one is empty, so a|a|b is
+ *     a|b and (|a) is a?.
+ *   - Factoring a common first or last part out of alternatives, so if|in|int is i(?:f|nt?).
+ *   - Merging alternatives of single characters or classes into a class, so a|b|[0-9] is [0-9a-b].
+ *   - Collapsing repetitions of repetitions, so (?:a+)? is a*, and (?:a{1,2})? is a{0,2}.
+ *
+ * Alternatives are only reordered or merged if none of them has a capturing group, and groups are
+ * never merged, so every group keeps its number and captures the same.
+ *
+ * @param {Node} node The root of the tree (which isn't changed).
+ * @returns {Node} The root of the simplified tree.
+ */
+Regex.prototype.Simplify = function(node) {
+	let self = this;
+	
+	switch (node.type) {
+		case 'Alt':
+			return this.SimplifyAlternatives(node.children.map(function(child) { return self.Simplify(child); }));
+		
+		case 'Concat':
+			return this.SimplifySequence(node.children.map(function(child) { return self.Simplify(child); }));
+		
+		case 'Repeat':
+			return this.SimplifyRepeat(this.Simplify(node.child), node.min, node.max);
+		
+		case 'Group':
+			return new this.Node('Group', { child: this.Simplify(node.child), number: node.number, name: node.name }, node.index);
+		
+		// A class of one character is just the character.
+		case 'Class':
+			if (node.set.ranges.length == 1 && node.set.ranges[0][0] == node.set.ranges[0][1])
+				return new this.Node('Char', { value: this.FromCode(node.set.ranges[0][0]) }, node.index);
+	}
+	
+	return node;
+}
+
+/**
+ * Simplifies the alternation of some (simplified) alternatives (see Regex.prototype.Alternatives).
+ *
+ * @param {Array<Node>} alternatives The alternatives.
+ * @returns {Node} The simplified alternation.
+ */
+Regex.prototype.SimplifyAlternatives = function(alternatives) {
+	let self = this;
+	let flat = [];
+	
+	alternatives.forEach(function(child) {
+		flat = flat.concat(child.type == 'Alt' ? child.children : [child]);
+	});
+	
+	// With groups, the alternatives are left as they are, as the order they are tried in decides
+	// what the groups capture.
+	if (flat.some(function(child) { return self.HasGroups(child); }))
+		return flat.length == 1 ? flat[0] : new this.Node('Alt', { children: flat }, 0);
+	
+	return this.Alternatives(flat);
+}
+
+/**
+ * Simplifies the concatenation of some (simplified) trees (see Regex.prototype.Simplify).
+ *
+ * @param {Array<Node>} nodes The trees.
+ * @returns {Node} The simplified concatenation.
+ */
+Regex.prototype.SimplifySequence = function(nodes) {
+	let self = this;
+	let children = [];
+	let last, merged;
+	
+	// Nested concatenations are flattened, and empty trees left out, as the concatenation is built.
+	let result = nodes.reduce(function(a, b) { return self.Sequence(a, b); }, new this.Node('Empty', {}, 0));
+	
+	(result.type == 'Concat' ? result.children : [result]).forEach(function(child) {
+		last = children[children.length - 1];
+		merged = last ? self.JoinRepeats(last, child) : null;
+		
+		if (merged != null)
+			children[children.length - 1] = merged;
+		else
+			children.push(child);
+	});
+	
+	if (children.length == 0)
+		return new this.Node('Empty', {}, 0);
+	
+	return children.length == 1 ? children[0] : new this.Node('Concat', { children: children }, 0);
+}
+
+/**
+ * Joins two trees next to each other that repeat the same thing, e.g. a{2} and a? into a{2,3}.
+ *
+ * @param {Node} a The first tree.
+ * @param {Node} b The tree after it.
+ * @returns {Node} The joined repetition, or null if the trees can't be joined.
+ */
+Regex.prototype.JoinRepeats = function(a, b) {
+	let repeat = function(node) {
+		return node.type == 'Repeat' ? node : { child: node, min: 1, max: 1 };
+	};
+	
+	let x = repeat(a);
+	let y = repeat(b);
+	let min = x.min + y.min;
+	let max = x.max == -1 || y.max == -1 ? -1 : x.max + y.max;
+	
+	// Nothing with a group or an assertion is joined, nor anything that would repeat too often.
+	if (this.HasGroups(x.child) || x.child.type == 'Assert' || this.ToSource(x.child, 2) != this.ToSource(y.child, 2))
+		return null;
+	
+	if (Math.max(min, max) > this.options.maxRepeat)
+		return null;
+	
+	return this.SimplifyRepeat(x.child, min, max);
+}
+
+/**
+ * Simplifies a repetition of a (simplified) tree (see Regex.prototype.Simplify).
+ *
+ * @param {Node} node The tree to repeat.
+ * @param {int} min The fewest repetitions.
+ * @param {int} max The most repetitions (-1 for no limit).
+ * @returns {Node} The simplified repetition.
+ */
+Regex.prototype.SimplifyRepeat = function(node, min, max) {
+	if (min == 1 && max == 1)
+		return node;
+	
+	if (node.type == 'Empty' || max == 0)
+		return new this.Node('Empty', {}, 0);
+	
+	// x{a,b}{c,d} with a of 0 or 1 is x{a*c,b*d}, as k repetitions of x{a,b} repeat x from a*k to
+	// b*k times, and these ranges touch or overlap from one k to the next.
+	if (node.type == 'Repeat' && node.min <= 1 && !this.HasGroups(node.child) && max * node.max <= this.options.maxRepeat)
+		return new this.Node('Repeat', { child: node.child, min: min * node.min, max: max == -1 || node.max == -1 ? -1 : max * node.max }, 0);
+	
+	return new this.Node('Repeat', { child: node, min: min, max: max }, 0);
+}
+
+/**
+ * Finds the code of a character of a regex, which is a code point with unicode, and a code unit
+ * otherwise.
+ *
+ * @param {string} char The character.
+ * @returns {int} The character code.
+ */
+Regex.prototype.CodeOf = function(char) {
+	return this.options.unicode ? char.codePointAt(0) : char.charCodeAt(0);
+}
+
+/**
+ * Finds the character of a code (see Regex.prototype.CodeOf).
+ *
+ * @param {int} code The character code.
+ * @returns {string} The character.
+ */
+Regex.prototype.FromCode = function(code) {
+	return this.options.unicode ? String.fromCodePoint(code) : String.fromCharCode(code);
+}
+
+/**
+ * Writes a regex in a normal form: parsed, and written back with only the parentheses it needs
+ * (see Regex.prototype.ToSource), and optionally simplified first (see Regex.prototype.Simplify).
+ * Nothing is compiled.
+ *
+ * @param {string} regex The regex string.
+ * @param {string|Object} [options] The flags or options the regex is for (see Regex), and:
+ *   - simplify {boolean} Whether to simplify the regex (default: false).
+ * @returns {string} The regex string in normal form.
+ * @throws {RegexSyntaxError} If the regex is invalid.
+ */
+Regex.Format = function(regex, options) {
+	let formatter = Object.create(Regex.prototype);
+	let tree;
+	
+	formatter.options = Object.assign({}, Regex.DEFAULTS, formatter.ParseFlags(options));
+	tree = formatter.ParseTokens(formatter.TokenizeRegex(regex));
+	
+	if (formatter.options.simplify)
+		tree = formatter.Simplify(tree);
+	
+	return formatter.ToSource(tree);
+}
+
+/**
+ * Parses an array of tokens into a parse tree, using the grammar:
+ *
+ *   alternation   := concatenation ('|' concatenation)*
+ *   concatenation := repeat*
+ *   repeat        := assertion | atom quantifier?
+ *   atom          := character | class | group
+ *   group         := ('(' | '(?:' | '(?<' name '>') alternation ')'
+ *
+ * So alternation binds loosest, then concatenation, then quantifiers.
+ *
+ * @param {Array<Token>} tokens An array of 'Token' objects that represent the regular expression.
+ * @returns {Node} The root node of the parse tree.
+ * @throws {RegexSyntaxError} If the tokens don't follow the grammar.
+ */
+Regex.prototype.ParseTokens = function(tokens) {
+	// Input:
+	// <'meta', '(', (1,1)>
+	// <'char', 'a', (1,1)>
+	// <'meta', '|', (1,1)>
+	// <'char', 'b', (1,1)>
+	// <'meta', ')', (1,1)>
+	// <'quant', '+', (1,-1)>
+	// <'char', 'b', (1,1)>
+	// <'quant', '{3,5}', (3,5)>
+	// <'meta', '(', (1,1)>
+	// <'char', 'c', (1,1)>
+	// <'char', 'b', (1,1)>
+	// <'quant', '?', (0,1)>
+	// <'meta', '|', (1,1)>
+	// <'char', 'd', (1,1)>
+	// <'meta', ')', (1,1)>
+	// <'quant', '*', (0,-1)>
+	
+	// Output:
+	// Concat
+	//   Repeat (1,-1)
+	//     Alt
+	//       Char 'a'
+	//       Char 'b'
+	//   Repeat (3,5)
+	//     Char 'b'
+	//   Repeat (0,-1)
+	//     Alt
+	//       Concat
+	//         Char 'c'
+	//         Repeat (0,1)
+	//           Char 'b'
+	//       Char 'd'
+	
+	let parser = { tokens: tokens, position: 0, groups: [] };
+	let tree = this.ParseAlternation(parser);
+	
+	// An alternation only stops early at a ')', which must have no '(' to close.
+	if (parser.position < tokens.length)
+		throw this.SyntaxError('UNBALANCED_PAREN', "There is no '(' for this ')' to close.", tokens[parser.position].index);
+	
+	// Remember the name of each capturing group (null if it has none), by number from 1.
+	this.groups = parser.groups;
+	
+	return tree;
+}
+
+/**
+ * Finds the next token to be parsed.
+ *
+ * @param {Object} parser The tokens being parsed, and the position of the next token.
+ * @returns {Token} The next token, or null if every token has been parsed.
+ */
+Regex.prototype.PeekToken = function(parser) {
+	return parser.position < parser.tokens.length ? parser.tokens[parser.position] : null;
+}
+
+/**
+ * Finds the index of the regex string the next token starts at.
+ *
+ * @param {Object} parser The tokens being parsed, and the position of the next token.
+ * @returns {int} The index of the next token (or the length of the regex string if there is none).
+ */
+Regex.prototype.PeekIndex = function(parser) {
+	let token = this.PeekToken(parser);
+	
+	return token == null ? this.pattern.length : token.index;
+}
+
+/**
+ * Parses concatenations separated by ors (|).
+ *
+ * @param {Object} parser The tokens being parsed, and the position of the next token.
+ * @returns {Node} An 'Alt' node, or the only concatenation if there are no ors.
+ */
+Regex.prototype.ParseAlternation = function(parser) {
+	let index = this.PeekIndex(parser);
+	let children = [this.ParseConcatenation(parser)];
+	let token = this.PeekToken(parser);
+	
+	while (token != null && token.type == 'meta' && token.value == '|') {
+		parser.position += 1;
+		children.push(this.ParseConcatenation(parser));
+		token = this.PeekToken(parser);
+	}
+	
+	if (children.length == 1)
+		return children[0];
+	
+	return new this.Node('Alt', { children: children }, index);
+}
+
+/**
+ * Parses a (possibly empty) sequence of repeats, up to the next '|' or ')'.
+ *
+ * @param {Object} parser The tokens being parsed, and the position of the next token.
+ * @returns {Node} A 'Concat' node, the only repeat if there is just one, or an 'Empty' node if
+ *          there are none.
+ */
+Regex.prototype.ParseConcatenation = function(parser) {
+	let index = this.PeekIndex(parser);
+	let children = [];
+	let token = this.PeekToken(parser);
+	
+	while (token != null && !(token.type == 'meta' && (token.value == '|' || token.value == ')'))) {
+		children.push(this.ParseRepeat(parser));
+		token = this.PeekToken(parser);
 	}
+	
+	if (children.length == 0)
+		return new this.Node('Empty', {}, index);
+	
+	if (children.length == 1)
+		return children[0];
+	
+	return new this.Node('Concat', { children: children }, index);
+}
+
+/**
+ * Parses an atom, followed by an optional quantifier.
+ *
+ * @param {Object} parser The tokens being parsed, and the position of the next token.
+ * @returns {Node} A 'Repeat' node, or the atom if there is no quantifier.
+ */
+Regex.prototype.ParseRepeat = function(parser) {
+	let first = this.PeekToken(parser);
+	let atom = this.ParseAtom(parser);
+	let token = this.PeekToken(parser);
+	
+	if (token == null || token.type != 'quant')
+		return atom;
+	
+	// An assertion can't be repeated on its own (though it can in parentheses, like in RegExp).
+	if (first.type == 'assert')
+		throw this.SyntaxError('DANGLING_QUANTIFIER', "An assertion can't be repeated.", token.index);
+	
+	parser.position += 1;
+	
+	if (token.repetitions[0] > this.options.maxRepeat || token.repetitions[1] > this.options.maxRepeat)
+		throw this.SyntaxError('REPETITION_TOO_LARGE', "Can't repeat more than " + this.options.maxRepeat + " times.", token.index);
+	
+	// A quantifier can't directly follow another quantifier.
+	if (this.PeekToken(parser) != null && this.PeekToken(parser).type == 'quant')
+		throw this.SyntaxError('DANGLING_QUANTIFIER', "There is nothing to repeat.", this.PeekIndex(parser));
+	
+	return new this.Node('Repeat', { child: atom, min: token.repetitions[0], max: token.repetitions[1] }, atom.index);
+}
 
-	// Return the array of new tokens.
-	return newTokens;
+/**
+ * Parses a character, a class, an assertion, or an alternation in parentheses. Capturing groups
+ * are numbered from 1 in the order they open.
+ *
+ * @param {Object} parser The tokens being parsed, the position of the next token, and the names of
+ *        the capturing groups so far.
+ * @returns {Node} A 'Char', 'Class', 'Assert' or 'Group' node, or the root node of the alternation
+ *          (in a group that doesn't capture).
+ */
+Regex.prototype.ParseAtom = function(parser) {
+	let token = this.PeekToken(parser);
+	let node, number;
+	
+	parser.position += 1;
+	
+	if (token.type == 'char')
+		return new this.Node('Char', { value: token.value }, token.index);
+	
+	if (token.type == 'class')
+		return new this.Node('Class', { set: token.value }, token.index);
+	
+	if (token.type == 'assert')
+		return new this.Node('Assert', { kind: token.value }, token.index);
+	
+	// A quantifier must follow something to repeat.
+	if (token.type == 'quant')
+		throw this.SyntaxError('DANGLING_QUANTIFIER', "There is nothing to repeat.", token.index);
+	
+	// Otherwise, the token must start a group, so parse up to the matching ')'. A capturing group
+	// is numbered before the groups inside it.
+	if (token.value != '(?:') {
+		number = parser.groups.length + 1;
+		parser.groups.push(token.value == '(' ? null : token.value.substring(3, token.value.length - 1));
+	}
+	
+	node = this.ParseAlternation(parser);
+	
+	if (this.PeekToken(parser) == null)
+		throw this.SyntaxError('UNBALANCED_PAREN', "This '(' is never closed.", token.index);
+	
+	parser.position += 1;
+	
+	if (token.value == '(?:')
+		return node;
+	
+	return new this.Node('Group', { child: node, number: number, name: parser.groups[number - 1] }, token.index);
 }
 
 Regex.prototype.TokenizeRegex = function(regex) {
@@ -617,29 +1239,37 @@ Regex.prototype.TokenizeRegex = function(regex) {
 	// <'char', 'c', (1,1)>
 	// <'meta', '|', (1,1)>
 	// <'char', 'd', (1,1)>
-	// <'meta', ')', (1,-1)>
-	// <'char', 'b', (3,5)>
+	// <'meta', ')', (1,1)>
+	// <'quant', '+', (1,-1)>
+	// <'char', 'b', (1,1)>
+	// <'quant', '{3,5}', (3,5)>
 	// <'meta', '(', (1,1)>
 	// <'char', 'c', (1,1)>
-	// <'char', 'b', (0,1)>
+	// <'char', 'b', (1,1)>
+	// <'quant', '?', (0,1)>
 	// <'meta', '|', (1,1)>
 	// <'char', 'd', (1,1)>
-	// <'meta', ')', (0,-1)>
+	// <'meta', ')', (1,1)>
+	// <'quant', '*', (0,-1)>
 
 	
 	let n = regex.length;
 	let tokens = [];
 	let value;
 	let notCommand = false;
-	let brackets = { isTrue : false, ranges: [] }
-	let longRep = { isTrue : false, valueA : '', valueB: '', val: 0 }
+	let brackets = { isTrue : false, ranges: [], negated: false, start: 0, canRange: false, range: false }
+	let longRep = { isTrue : false, valueA : '', valueB: '', val: 0, start: 0 }
+	let names = {};
+	
+	// Remember the regex string, so that errors can show where they occurred.
+	this.pattern = regex;
 	
 	for (let i = 0; i < n; i++) {
-		value = regex[i];
+		value = this.CharAt(regex, i);
 		
 		// A character can never be part of both longRep {a,b} and brackets [a-z].
 		if (longRep.isTrue && brackets.isTrue) {
-			throw "ERROR";
+			throw this.SyntaxError('UNPARSEABLE', "Unexpected character inside both braces and brackets.", i);
 		}
 		
 		// A longRep character must be a digit, a comma, or a brace.
@@ -665,7 +1295,7 @@ Regex.prototype.TokenizeRegex = function(regex) {
 					if (longRep.val == 0)
 						longRep.val = 1;
 					else
-						throw "ERROR";
+						throw this.SyntaxError('BAD_REPETITION', "A repetition can't have more than two numbers.", i);
 					
 					break;
 					
@@ -690,83 +1320,376 @@ Regex.prototype.TokenizeRegex = function(regex) {
 					longRep.val = 0;
 					
 					if (valB != -1 && valB < valA)
-						throw "PARSE ERROR";
+						throw this.SyntaxError('BAD_REPETITION_RANGE', "The minimum number of repetitions is greater than the maximum.", longRep.start);
 					
-					tokens[tokens.length - 1].ChangeRepetitions([valA,valB])
+					tokens.push(new this.Token('quant', regex.substring(longRep.start, i + 1), [valA,valB], longRep.start));
 					break;
 				default:
-					throw "ERROR";
+					throw this.SyntaxError('BAD_REPETITION', "Expected a digit, ',' or '}' in a repetition.", i);
 			}
 		}
 		
-		else if (value == '\\') {
+		else if (value == '\\' && !notCommand) {
 			notCommand = true;
 		}
 		
-		// Ignore brackets for now.
-		// else if (brackets.isTrue) {
-		// }
+		// Inside brackets, characters and ranges are added to the class until an unescaped ']'.
+		else if (brackets.isTrue) {
+			// A '^' at the very start of the brackets negates the class.
+			if (value == '^' && !notCommand && i == brackets.start + 1) {
+				brackets.negated = true;
+			}
+			
+			// An unescaped ']' closes the brackets, adding the class as a single token.
+			else if (value == ']' && !notCommand) {
+				if (brackets.ranges.length == 0)
+					throw this.SyntaxError('EMPTY_CLASS', "A class must contain at least one character.", brackets.start);
+				
+				let set = new CharSet(brackets.ranges, false);
+				
+				// Ignoring case, a negated class must exclude every case of its characters, so it
+				// is case-folded before it is negated.
+				if (this.options.ignoreCase && brackets.negated)
+					set = set.CaseFolded(this.options.unicode);
+				
+				tokens.push(new this.Token('class', new CharSet(set.ranges, brackets.negated), [1,1], brackets.start));
+				brackets.isTrue = false;
+			}
+			
+			// An unescaped '-' following a character (and not at the end of the brackets) makes a
+			// range. Anywhere else, it is a literal '-'.
+			else if (value == '-' && !notCommand && brackets.canRange && i + 1 < n && regex[i + 1] != ']') {
+				brackets.range = true;
+			}
 			
+			else {
+				let start = notCommand ? i - 1 : i;
+				
+				// Escapes are read the same way as outside of brackets, except that \b is a
+				// backspace rather than a word boundary.
+				if (notCommand && value == 'b') {
+					value = '\b';
+				}
+				
+				else if (notCommand) {
+					let escape = this.Escape(regex, i);
+					
+					value = escape.value;
+					i = escape.end;
+				}
+				
+				let code = value instanceof CharSet ? -1 : value.codePointAt(0);
+				
+				// A character outside of the BMP (with unicode) is two code units long.
+				if (!notCommand && value.length == 2)
+					i += 1;
+				
+				let last = brackets.ranges[brackets.ranges.length - 1];
+				
+				// A shorthand class adds all of its ranges, but can't be either end of a range.
+				if (value instanceof CharSet) {
+					if (brackets.range)
+						throw this.SyntaxError('BAD_CLASS_RANGE', "A shorthand class can't be the end of a range.", start);
+					
+					for (let j = 0; j < value.ranges.length; j++)
+						brackets.ranges.push([value.ranges[j][0], value.ranges[j][1]]);
+					
+					brackets.canRange = false;
+				}
+				
+				// Complete the range started by the previous character.
+				else if (brackets.range) {
+					if (code < last[0])
+						throw this.SyntaxError('BAD_CLASS_RANGE', "The start of the range is greater than its end.", start);
+					
+					last[1] = code;
+					brackets.range = false;
+					brackets.canRange = false;
+				}
+				
+				// Add the character on its own (it may become the start of a range).
+				else {
+					brackets.ranges.push([code, code]);
+					brackets.canRange = true;
+				}
+				
+				notCommand = false;
+			}
+		}
 
+		// \b and \B are word boundary assertions.
+		else if (notCommand && (value == 'b' || value == 'B')) {
+			tokens.push(new this.Token('assert', value == 'b' ? 'wordBoundary' : 'notWordBoundary', [1,1], i - 1));
+			notCommand = false;
+		}
+		
 		else if (notCommand) {
-			tokens.push(new this.Token('char', value, [1,1]));
+			let escape = this.Escape(regex, i);
+			
+			// Shorthand classes (e.g. \d) become class tokens, and anything else a character token.
+			if (escape.value instanceof CharSet)
+				tokens.push(new this.Token('class', escape.value, [1,1], i - 1));
+			else
+				tokens.push(new this.Token('char', escape.value, [1,1], i - 1));
+			
+			i = escape.end;
 			notCommand = false;
 		}
 
 		else {
 			switch (value) {
 				case '[':
+					brackets.isTrue = true;
+					brackets.ranges = [];
+					brackets.negated = false;
+					brackets.start = i;
+					brackets.canRange = false;
+					brackets.range = false;
+					break;
+					
+				// A group that doesn't capture ('(?:') or a named group ('(?<name>') is a single token.
 				case '(':
+					if (regex[i + 1] == '?')
+						value = this.GroupPrefix(regex, i, names);
+					
+					tokens.push(new this.Token('meta', value, [1,1], i));
+					i += value.length - 1;
+					break;
+					
 				case ')':
 				case '|':
-					tokens.push(new this.Token('meta', value, [1,1]));
+					tokens.push(new this.Token('meta', value, [1,1], i));
 					break;
 					
 				case '{':
 					longRep.isTrue = true;
+					longRep.start = i;
 					break;
 					
 				case ']':
 				case '}':
 				case ',':
-					throw "ERROR";
+					throw this.SyntaxError('UNEXPECTED_CHARACTER', "Unexpected '" + value + "' (escape it to match it literally).", i);
 					
 				case '\\':
 					notCommand = true;
 					break;
+				
+				// The start and end of the input (or of any line, with multiline).
+				case '^':
+					tokens.push(new this.Token('assert', this.options.multiline ? 'lineStart' : 'start', [1,1], i));
+					break;
+				case '$':
+					tokens.push(new this.Token('assert', this.options.multiline ? 'lineEnd' : 'end', [1,1], i));
+					break;
+					
+				// Any character except line terminators (or any character at all, with dotAll).
+				case '.':
+					if (this.options.dotAll)
+						tokens.push(new this.Token('class', new CharSet([[0, CharSet.MAX]], false), [1,1], i));
+					else
+						tokens.push(new this.Token('class', new CharSet(CharSet.LINE_TERMINATORS, true), [1,1], i));
+					break;
 					
 				case '*':
-					tokens[tokens.length - 1].ChangeRepetitions([0,-1]);
+					tokens.push(new this.Token('quant', value, [0,-1], i));
 					break;
 				case '+':
-					tokens[tokens.length - 1].ChangeRepetitions([1,-1])
+					tokens.push(new this.Token('quant', value, [1,-1], i));
 					break;
 				case '?':
-					tokens[tokens.length - 1].ChangeRepetitions([0,1])
+					tokens.push(new this.Token('quant', value, [0,1], i));
 					break;
 					
 				default:
-					tokens.push(new this.Token('char', value, [1,1]));
+					tokens.push(new this.Token('char', value, [1,1], i));
+					i += value.length - 1;
 					break;
 			}
 		}
 	}
 	
+	// The brackets were never closed.
+	if (brackets.isTrue)
+		throw this.SyntaxError('UNTERMINATED_CLASS', "The brackets are never closed.", brackets.start);
+	
+	// The braces were never closed.
+	if (longRep.isTrue)
+		throw this.SyntaxError('BAD_REPETITION', "The braces are never closed.", longRep.start);
+	
+	// The regex ends with a backslash, so there is nothing to escape.
+	if (notCommand)
+		throw this.SyntaxError('BAD_ESCAPE', "There is nothing to escape.", n - 1);
+	
 	return tokens;
 }
 
-Regex.prototype.Token = function(type, value, repetitions) {
-	this.type = type;
-	this.value = value;
-	this.repetitions = repetitions;
+/**
+ * Reads the start of a group beginning with '(?', which is either '(?:' (a group that doesn't
+ * capture) or '(?<name>' (a named capturing group).
+ *
+ * @param {string} regex The regex string.
+ * @param {int} i The index of the '('.
+ * @param {Object} names The names of the groups read so far, which is added to.
+ * @returns {string} The start of the group, from the '(' to the ':' or '>'.
+ * @throws {RegexSyntaxError} If the group is a lookaround or unknown, or its name is invalid or
+ *         already used.
+ */
+Regex.prototype.GroupPrefix = function(regex, i, names) {
+	if (regex[i + 2] == ':')
+		return '(?:';
 	
-	this.ChangeRepetitions = function(newRepetitions) {
-		this.repetitions = newRepetitions
-	}
+	if (regex[i + 2] == '=' || regex[i + 2] == '!' || (regex[i + 2] == '<' && (regex[i + 3] == '=' || regex[i + 3] == '!')))
+		throw this.SyntaxError('BAD_GROUP', "Lookarounds aren't supported.", i);
 	
-	this.Copy = function() {
-		return new this.constructor(this.type, this.value, this.repetitions);
-	}
+	if (regex[i + 2] != '<')
+		throw this.SyntaxError('BAD_GROUP', "Expected '(?:' or '(?<name>' after '(?'.", i);
+	
+	let close = regex.indexOf('>', i);
+	let name = close == -1 ? '' : regex.substring(i + 3, close);
+	
+	if (!/^[A-Za-z_$][\w$]*$/.test(name))
+		throw this.SyntaxError('BAD_GROUP_NAME', "A group name must be an identifier, followed by '>'.", i + 3);
+	
+	if (names.hasOwnProperty(name))
+		throw this.SyntaxError('DUPLICATE_GROUP_NAME', "There is already a group named '" + name + "'.", i + 3);
+	
+	names[name] = true;
+	
+	return regex.substring(i, close + 1);
+}
+
+/**
+ * Finds the character at an index of the regex string. With unicode, a surrogate pair is a single
+ * character.
+ *
+ * @param {string} regex The regex string.
+ * @param {int} i The index of the character.
+ * @returns {string} The character (two code units long, if it is outside of the BMP).
+ */
+Regex.prototype.CharAt = function(regex, i) {
+	if (this.options.unicode && regex.codePointAt(i) > 0xFFFF)
+		return regex.substr(i, 2);
+	
+	return regex[i];
+}
+
+/**
+ * Reads the escape sequence following a backslash. Shorthand classes (\d, \w, \s and their
+ * negations), control characters (\n, \t, \r, \f, \v, \0) and character codes (\xHH, \uHHHH,
+ * and \u{H...} with unicode) are translated, and any other character is taken literally.
+ *
+ * @param {string} regex The regex string.
+ * @param {int} i The index of the character after the backslash.
+ * @returns {Object} An object { value, end }, where value is the escaped character (or a CharSet,
+ *          for a shorthand class) and end is the index of the last character of the sequence.
+ * @throws {RegexSyntaxError} If \x or \u isn't followed by enough hexadecimal digits.
+ */
+Regex.prototype.Escape = function(regex, i) {
+	let value = this.CharAt(regex, i);
+	let controls = { n: '\n', t: '\t', r: '\r', f: '\f', v: '\v', '0': '\0' };
+	let digits, hex, code, next, ranges;
+	
+	// A lower case shorthand is its class, and an upper case shorthand is its negation.
+	if (CharSet.SHORTHANDS.hasOwnProperty(value.toLowerCase())) {
+		ranges = CharSet.SHORTHANDS[value.toLowerCase()];
+		
+		if (value.toLowerCase() == 'w' && this.options.unicode && this.options.ignoreCase)
+			ranges = ranges.concat(CharSet.EXTRA_WORD_CHARACTERS);
+		
+		return { value: new CharSet(ranges, value != value.toLowerCase()), end: i };
+	}
+	
+	if (controls.hasOwnProperty(value))
+		return { value: controls[value], end: i };
+	
+	// With unicode, \u{...} may have any number of hex digits, up to the last code point.
+	if (value == 'u' && this.options.unicode && regex[i + 1] == '{') {
+		let close = regex.indexOf('}', i);
+		
+		hex = close == -1 ? '' : regex.substring(i + 2, close);
+		
+		if (!/^[0-9a-fA-F]+$/.test(hex) || parseInt(hex, 16) > CharSet.MAX)
+			throw this.SyntaxError('BAD_ESCAPE', "\\u{...} must contain a hexadecimal code point.", i - 1);
+		
+		return { value: String.fromCodePoint(parseInt(hex, 16)), end: close };
+	}
+	
+	// \x is followed by exactly two hex digits, and \u by exactly four.
+	if (value == 'x' || value == 'u') {
+		digits = value == 'x' ? 2 : 4;
+		hex = regex.substr(i + 1, digits);
+		
+		if (hex.length != digits || !/^[0-9a-fA-F]+$/.test(hex))
+			throw this.SyntaxError('BAD_ESCAPE', "\\" + value + " must be followed by " + digits + " hexadecimal digits.", i - 1);
+		
+		code = parseInt(hex, 16);
+		next = regex.substr(i + digits + 1, 6);
+		
+		// With unicode, an escaped surrogate pair is a single character.
+		if (this.options.unicode && value == 'u' && code >= 0xD800 && code <= 0xDBFF && /^\\u[dD][c-fC-F][0-9a-fA-F]{2}$/.test(next))
+			return { value: String.fromCharCode(code, parseInt(next.substring(2), 16)), end: i + digits + 6 };
+		
+		return { value: String.fromCharCode(code), end: i + digits };
+	}
+	
+	return { value: value, end: i + value.length - 1 };
+}
+
+Regex.prototype.Token = function(type, value, repetitions, index) {
+	this.type = type;
+	this.value = value;
+	this.repetitions = repetitions;
+	
+	// The index of the (first) character of the regex string the token came from.
+	this.index = index;
+	
+	this.ChangeRepetitions = function(newRepetitions) {
+		this.repetitions = newRepetitions
+	}
+	
+	this.Copy = function() {
+		return new this.constructor(this.type, this.value, this.repetitions, this.index);
+	}
+}
+
+/**
+ * A node of the parse tree. The type of the node decides its other properties:
+ *   - 'Alt': Matches any one of its children (a|b|c). Has 'children', an array of nodes.
+ *   - 'Concat': Matches each of its children in turn (abc). Has 'children', an array of nodes.
+ *   - 'Repeat': Matches its child between 'min' and 'max' times (a{min,max}), where 'max' is -1
+ *     if there is no maximum. Has 'child', 'min' and 'max'.
+ *   - 'Char': Matches a single character. Has 'value', the character.
+ *   - 'Class': Matches any character of a set ([a-z], \d, .). Has 'set', a CharSet.
+ *   - 'Empty': Matches only the empty string (e.g. either side of '|' in 'a|').
+ *   - 'Assert': Matches the empty string, but only where the characters either side of it allow
+ *     (^, $, \b, \B). Has 'kind', a key of Regex.ASSERTIONS.
+ *   - 'Group': Matches its child, capturing what it matched ((a), (?<name>a)). Has 'child',
+ *     'number' (from 1) and 'name' (null if the group has none).
+ *
+ * @param {string} type The type of the node.
+ * @param {Object} properties The properties of the node (depending on the type).
+ * @param {int} index The index of the regex string the node starts at.
+ */
+Regex.prototype.Node = function(type, properties, index) {
+	this.type = type;
+	
+	for (let key in properties)
+		this[key] = properties[key];
+	
+	this.index = index;
+}
+
+/**
+ * Creates a syntax error for the regex string currently being parsed.
+ *
+ * @param {string} code A machine-readable code for the error (see RegexSyntaxError).
+ * @param {string} reason A description of the error.
+ * @param {int} offset The index of the character the error occurred at.
+ * @returns {RegexSyntaxError} The error.
+ */
+Regex.prototype.SyntaxError = function(code, reason, offset) {
+	return new RegexSyntaxError(code, reason, this.pattern, offset);
 }
 
 
@@ -774,517 +1697,3804 @@ Regex.prototype.IsValidWord = function(word) {
 	return this.dfa.IsValidWord(word);
 }
 
-Regex.prototype.FindAll = function(word) {
-	return this.dfa.FindAll(word);
+Regex.prototype.FindAll = function(word, options) {
+	let self = this;
+	
+	return this.dfa.FindAll(word, options).map(function(match) { return self.Capture(word, match); });
 }
 
+Regex.prototype.MatchAll = function*(word) {
+	for (let match of this.dfa.MatchAll(word))
+		yield this.Capture(word, match);
+}
 
-
-function NFA() {
-	this.transitionTable = {};
-	this.end = 0;
-	this.values = [];
+Regex.prototype.Search = function(word, fromIndex) {
+	let match = this.dfa.Search(word, fromIndex);
+	
+	return match == null ? null : this.Capture(word, match);
 }
 
-NFA.prototype.Print = function() {
-	let value;
-	let n = this.values.length
+/**
+ * Adds what each capturing group matched to a match, if the regex has capturing groups:
+ *   - captures: An array of the { value, index, end } each group matched by number, where
+ *     captures[0] is the whole match. A group that took no part in the match is null.
+ *   - groups: The captures of the named groups, by name.
+ *
+ * The DFA finds the whole match first, so that only the groups are found by the (slower) Pike VM.
+ *
+ * @param {string} word The word the match was found in.
+ * @param {Object} match The { value, index, end } match.
+ * @returns {Object} The match.
+ */
+Regex.prototype.Capture = function(word, match) {
+	if (this.vm == null)
+		return match;
 	
-	let str = "Start: 0\nEnd: " + this.end + "\n";
+	let slots = this.vm.Run(word, match.index, match.end);
 	
+	match.captures = [{ value: match.value, index: match.index, end: match.end }];
+	match.groups = {};
 	
-	for (let i = 0; i < this.end; i++) {
-		if (!this.transitionTable.hasOwnProperty(i))
-			continue;
+	for (let i = 1; i <= this.groups.length; i++) {
+		let start = slots[2 * i];
+		let end = slots[2 * i + 1];
+		let capture = start == -1 || end == -1 ? null : { value: word.substring(start, end), index: start, end: end };
 		
+		match.captures.push(capture);
 		
-		str += "\nState: " + i + ":";
-		
-		for (let j = 0; j < n; j++) {
-			value = this.values[j];
-			
-			str += " [" + value + ": ";
-			
-			if (!this.transitionTable[i].hasOwnProperty(value))
-				str += "/";
-			else {
-				let values = this.transitionTable[i][value];
-				str += values[0];
-				
-				for (let k = 1; k < values.length; k++)
-					str += ", " + values[k];
-			}
-			
-			str += "]";
-		}
+		if (this.groups[i - 1] != null)
+			match.groups[this.groups[i - 1]] = capture;
 	}
 	
-	console.log(str);
+	return match;
 }
 
-NFA.prototype.AddTransition = function(state0, value, state1) {
-	if (!this.transitionTable.hasOwnProperty(state0))
-		this.transitionTable[state0] = {};
+/**
+ * Finds a compact form of the compiled regex, that can be turned into JSON (e.g. by a build step)
+ * and loaded again by Regex.FromCompiled.
+ *
+ * @returns {Object} An object { options, rules, dfa }, where options are the flags the regex was
+ *          compiled with, rules are the names of its rules (or null), and dfa is the DFA in the
+ *          form given by DFA.prototype.ToJSON.
+ * @throws {Error} If the regex uses the lazy engine, which has no DFA to save.
+ */
+Regex.prototype.ToJSON = function() {
+	this.RequireDFA('ToJSON');
 	
-	if (!this.transitionTable[state0].hasOwnProperty(value))
-		this.transitionTable[state0][value] = [];
+	return {
+		options: {
+			ignoreCase: this.options.ignoreCase,
+			dotAll: this.options.dotAll,
+			multiline: this.options.multiline,
+			unicode: this.options.unicode
+		},
+		rules: this.rules,
+		dfa: this.dfa.ToJSON()
+	};
+}
+
+/**
+ * Generates a standalone JavaScript scanner for the regex (see DFA.prototype.ToJavaScript), whose
+ * tokenize function uses the names of the regex's rules.
+ *
+ * @param {Object} [options] Generator options (see DFA.prototype.ToJavaScript).
+ * @returns {string} The scanner's source code.
+ * @throws {Error} If the regex uses the lazy engine, which has no DFA to generate from.
+ */
+Regex.prototype.ToJavaScript = function(options) {
+	this.RequireDFA('ToJavaScript');
 	
-	this.transitionTable[state0][value].push(state1);
+	return this.dfa.ToJavaScript(Object.assign({ rules: this.rules }, options));
+}
+
+/**
+ * Checks that the regex was compiled into a whole DFA, rather than matched lazily.
+ *
+ * @param {string} method The name of the method that needs the DFA, for the error message.
+ * @throws {Error} If the regex uses the lazy engine.
+ */
+Regex.prototype.RequireDFA = function(method) {
+	if (!(this.dfa instanceof DFA))
+		throw new Error(method + " requires the 'dfa' engine, as the lazy engine never builds the whole DFA.");
+}
+
+/**
+ * Checks whether two regexs match exactly the same words (see Regex.prototype.IsValidWord), by a
+ * search of the product of their DFAs for a state where only one accepts (see DFA.Product). The
+ * rules of a map of rules are treated as one regex, matching the words any rule matches.
+ *
+ * @param {Regex} a The first regex.
+ * @param {Regex} b The second regex.
+ * @returns {Object} An object { equivalent, counterexample }, where counterexample is a shortest
+ *          word only one of the regexs matches (or null if they are equivalent).
+ * @throws {Error} If either regex uses the lazy engine, or their flags differ (see DFA.Product).
+ */
+Regex.Equivalent = function(a, b) {
+	a.RequireDFA('Equivalent');
+	b.RequireDFA('Equivalent');
 	
-	if (state1 > this.end)
-		this.end = state1;
+	let counterexample = DFA.Product(a.dfa, b.dfa, function(x, y) { return x != y; }).ShortestWord();
 	
-	if (!this.values.includes(value))
-		this.values.push(value);
+	return { equivalent: counterexample == null, counterexample: counterexample };
 }
 
-NFA.prototype.Singular = function(value) {
-	let nfa = new this.constructor();
+/**
+ * Checks whether the first regex matches every word the second does (see Regex.Equivalent).
+ *
+ * @param {Regex} a The regex that should match more.
+ * @param {Regex} b The regex that should match less.
+ * @returns {Object} An object { includes, counterexample }, where counterexample is a shortest
+ *          word the second regex matches but the first doesn't (or null if there is none).
+ * @throws {Error} If either regex uses the lazy engine, or their flags differ (see DFA.Product).
+ */
+Regex.Includes = function(a, b) {
+	a.RequireDFA('Includes');
+	b.RequireDFA('Includes');
 	
-	nfa.AddTransition(0, value, 1);
+	let counterexample = DFA.Difference(b.dfa, a.dfa).ShortestWord();
 	
-	return nfa;
+	return { includes: counterexample == null, counterexample: counterexample };
 }
 
-NFA.prototype.AddTransitions = function(nfa, start) {
-	let n = nfa.values.length;
-	let value, states;
+/**
+ * Checks whether the regex matches no words at all, e.g. 'a^' or '[^\s\S]'.
+ *
+ * @returns {Object} An object { empty, counterexample }, where counterexample is a shortest word
+ *          the regex matches (or null if it is empty).
+ * @throws {Error} If the regex uses the lazy engine.
+ */
+Regex.prototype.IsEmpty = function() {
+	this.RequireDFA('IsEmpty');
 	
-	for (let i = 0; i < nfa.end; i++) {
-		this.transitionTable[start + i] = {};
+	let counterexample = this.dfa.ShortestWord();
+	
+	return { empty: counterexample == null, counterexample: counterexample };
+}
+
+/**
+ * Finds problems with the rules of a map of rules, from a DFA of the rules (without minimisation)
+ * whose states know every rule they accept, rather than only the first:
+ *   - shadowed: The rules that can never be the token type of a token, as every word they match is
+ *     matched by an earlier rule, each as { rule, by } where by are the earlier rules it overlaps.
+ *     A rule that matches nothing is shadowed by no rules.
+ *   - overlaps: Every pair of rules that match a common (non-empty) word, each as { rules,
+ *     example }, where example is a shortest such word. Overlaps are often intended, e.g. by
+ *     keywords and identifiers, with the keywords first.
+ *   - empty: The rules that match the empty string.
+ *
+ * With assertions, words are matched in every context, so an example may only be matched by both
+ * rules next to some characters.
+ *
+ * @returns {Object} An object { shadowed, overlaps, empty }, with the rules in order.
+ * @throws {Error} If the regex doesn't have a map of rules, or was loaded with FromCompiled.
+ * @throws {RegexLimitError} If the DFA would have more than maxDFAStates states.
+ */
+Regex.prototype.Diagnose = function() {
+	if (this.rules == null)
+		throw new Error("Diagnose requires a map of rules to be passed to AddRegex.");
+	
+	if (this.nfa == null)
+		throw new Error("Diagnose requires the NFA of the rules, which isn't kept by FromCompiled.");
+	
+	let dfa = new SubsetConstruction(this.nfa, Object.assign({}, this.options, { minimise: false, onStage: null, allTags: true }));
+	let rules = this.rules;
+	let words = {};
+	let queue = [];
+	let wins = {};
+	let found = {};
+	let result = { shadowed: [], overlaps: [], empty: [] };
+	let empty = {};
+	let state, tags, next, example;
+	
+	// The rules each state accepts by category of the next character (the dead state has none).
+	let accepted = function(state) {
+		return dfa.transitionTable[state]['tags'] || [];
+	};
+	
+	// Adds the states reached from a state (by a word) to be explored, if they are new.
+	let explore = function(state, word) {
+		for (let c = 0; c < dfa.alphabet.count; c++) {
+			if (!dfa.transitionTable[state].hasOwnProperty(c))
+				continue;
+			
+			next = dfa.transitionTable[state][c];
+			
+			if (!words.hasOwnProperty(next)) {
+				words[next] = word + String.fromCodePoint(dfa.alphabet.Example(c));
+				queue.push(next);
+			}
+		}
+	};
+	
+	// The rules accepted before anything is read match the empty string.
+	for (let i = 0; i < dfa.starts.length; i++) {
+		for (let j = 0; j < accepted(dfa.starts[i]).length; j++)
+			accepted(dfa.starts[i])[j].forEach(function(tag) { empty[tag] = true; });
+	}
+	
+	// A breadth-first search from every start state, so that each state is first reached by a
+	// shortest (non-empty) word.
+	for (let i = 0; i < dfa.starts.length; i++)
+		explore(dfa.starts[i], '');
+	
+	for (let i = 0; i < queue.length; i++) {
+		state = queue[i];
 		
-		for (let j = 0; j < n; j++) {
-			value = nfa.values[j];
+		for (let j = 0; j < accepted(state).length; j++) {
+			tags = accepted(state)[j];
 			
-			if (nfa.transitionTable[i].hasOwnProperty(value)) {
-				states = nfa.transitionTable[i][value];
-				
-				for (let k = 0; k < states.length; k++)
-					this.AddTransition(start + i, value, start + states[k]);
+			// The tags are sorted, so the first rule is the one that wins.
+			if (tags.length > 0)
+				wins[tags[0]] = true;
+			
+			for (let a = 0; a < tags.length; a++) {
+				for (let b = a + 1; b < tags.length; b++) {
+					if (!found.hasOwnProperty(tags[a] + ',' + tags[b]))
+						found[tags[a] + ',' + tags[b]] = words[state];
+				}
 			}
 		}
+		
+		explore(state, words[state]);
+	}
+	
+	for (let a = 0; a < rules.length; a++) {
+		for (let b = a + 1; b < rules.length; b++) {
+			example = found[a + ',' + b];
+			
+			if (example != undefined)
+				result.overlaps.push({ rules: [rules[a], rules[b]], example: example });
+		}
+		
+		if (!wins[a]) {
+			result.shadowed.push({
+				rule: rules[a],
+				by: rules.slice(0, a).filter(function(rule, b) { return found.hasOwnProperty(b + ',' + a); })
+			});
+		}
+		
+		if (empty[a])
+			result.empty.push(rules[a]);
 	}
+	
+	return result;
 }
 
-NFA.prototype.And = function(nfaA, nfaB) {
-	let nfa = new this.constructor();
-
-	nfa.AddTransitions(nfaA, 0);
-	nfa.AddTransition(nfaA.end, null, nfaA.end + 1);
-	nfa.AddTransitions(nfaB, nfaA.end + 1);
+/**
+ * Warns about, or throws for, the rules that can never match and the rules that match the empty
+ * string (see Regex.prototype.Diagnose), depending on the conflicts option.
+ *
+ * @throws {RegexRuleError} With the 'error' option, for the first problem found.
+ */
+Regex.prototype.CheckRules = function() {
+	let diagnostics = this.Diagnose();
+	let errors = [];
 	
-	return nfa;
+	for (let i = 0; i < diagnostics.shadowed.length; i++) {
+		let shadowed = diagnostics.shadowed[i];
+		let reason = shadowed.by.length > 0 ? "every word it matches is matched by an earlier rule ('" + shadowed.by.join("', '") + "')" : "it matches nothing";
+		
+		errors.push(new RegexRuleError('SHADOWED_RULE', "Rule '" + shadowed.rule + "' can never match, as " + reason + ".", shadowed.rule));
+	}
+	
+	for (let i = 0; i < diagnostics.empty.length; i++)
+		errors.push(new RegexRuleError('EMPTY_RULE', "Rule '" + diagnostics.empty[i] + "' matches the empty string.", diagnostics.empty[i]));
+	
+	for (let i = 0; i < errors.length; i++) {
+		if (this.options.conflicts == 'error')
+			throw errors[i];
+		
+		console.warn(errors[i].message);
+	}
 }
 
-NFA.prototype.Or = function(nfaA, nfaB) {
-	let nfa = new this.constructor();
-	let k = 1;
+/**
+ * Splits the input into tokens using the rules passed to AddRegex. At each position the longest
+ * match is taken, and if several rules match the same length, the rule given first wins.
+ *
+ * @param {string} input The string to split into tokens.
+ * @returns {Array<Object>} An array of { type, value } tokens, where type is the rule name.
+ */
+Regex.prototype.Tokenize = function(input) {
+	let tokens = [];
+	let match;
 	
-	nfa.AddTransition(0, null, 1);
-	nfa.AddTransitions(nfaA, 1);
+	if (this.rules == null)
+		throw new Error("Tokenize requires a map of rules to be passed to AddRegex.");
 	
-	nfa.AddTransition(0, null, nfaA.end + 2);
-	nfa.AddTransitions(nfaB, nfaA.end + 2);
+	for (let i = 0; i < input.length; i = match.last + 1) {
+		match = this.dfa.LongestMatch(input, i);
+		
+		// No rule matches at this position, so the input can't be tokenized.
+		if (match.last == -1)
+			throw new Error("No rule matches the input at index " + i + ".");
+		
+		tokens.push({ type: this.rules[match.tag], value: input.substring(i, match.last + 1) });
+	}
 	
-	nfa.AddTransition(nfaA.end + 1, null, nfaA.end + nfaB.end + 3);
-	nfa.AddTransition(nfaA.end + nfaB.end + 2, null, nfaA.end + nfaB.end + 3);
-	return nfa;
+	return tokens;
 }
 
-NFA.prototype.Asterisk = function(nfa) {
-	let nfaNew = new this.constructor();
 
-	nfaNew.AddTransition(0, null, 1);
-	nfaNew.AddTransitions(nfa, 1);
-	
-	nfaNew.AddTransition(nfa.end + 1, null, 1);
+
+/**
+ * An error in the syntax of a regex string. The code is one of:
+ *   - UNBALANCED_PAREN: A '(' is never closed, or a ')' has no '(' to close.
+ *   - BAD_GROUP: A '(?' isn't followed by ':' or a name in '<>' (lookarounds aren't supported).
+ *   - BAD_GROUP_NAME: A group name isn't an identifier, or isn't followed by '>'.
+ *   - DUPLICATE_GROUP_NAME: Two groups have the same name.
+ *   - DANGLING_QUANTIFIER: A quantifier (*, +, ?, {n,m}) has nothing to repeat, or follows an
+ *     assertion (^, $, \b, \B).
+ *   - BAD_REPETITION: A {n,m} repetition isn't made of up to two numbers and a comma (e.g.
+ *     {0,1,2} or {a}), or is never closed.
+ *   - BAD_REPETITION_RANGE: A {n,m} repetition has n > m (e.g. {2,1}).
+ *   - REPETITION_TOO_LARGE: A {n,m} repetition has n or m greater than the maxRepeat option.
+ *   - EMPTY_CLASS: A class contains no characters (i.e. []).
+ *   - UNTERMINATED_CLASS: A '[' is never closed.
+ *   - BAD_CLASS_RANGE: A range in a class is backwards (e.g. [z-a]), or ends at a shorthand class.
+ *   - BAD_ESCAPE: A backslash ends the regex string, or \x or \u isn't followed by hex digits.
+ *   - BAD_FLAG: A string of flags contains an unknown flag (the pattern is then the flags).
+ *   - UNEXPECTED_CHARACTER: A ']', '}' or ',' appears where it has no meaning.
+ *   - UNPARSEABLE: The tokens or parse tree can't be understood (e.g. a hand-built token array).
+ *
+ * The message shows the reason, followed by the regex string with a caret under the offset.
+ *
+ * @param {string} code A machine-readable code for the error.
+ * @param {string} reason A description of the error.
+ * @param {string} pattern The regex string containing the error.
+ * @param {int} offset The index of the character the error occurred at.
+ */
+function RegexSyntaxError(code, reason, pattern, offset) {
+	this.name = 'RegexSyntaxError';
+	this.code = code;
+	this.reason = reason;
+	this.pattern = pattern;
+	this.offset = offset;
+	this.message = reason + '\n' + pattern + '\n' + ' '.repeat(offset) + '^';
+	this.stack = new Error(this.message).stack;
+}
+
+RegexSyntaxError.prototype = Object.create(Error.prototype);
+RegexSyntaxError.prototype.constructor = RegexSyntaxError;
+
+/**
+ * An error raised when compiling a regex would go over one of the limits set by the options of
+ * Regex (or writing one, by those of DFA.prototype.ToRegex). The code is one of:
+ *   - NFA_TOO_LARGE: The NFA would have more than maxNFAStates states.
+ *   - DFA_TOO_LARGE: The DFA would have more than maxDFAStates states.
+ *   - REGEX_TOO_LONG: A regex written by DFA.prototype.ToRegex would be longer than maxLength.
+ *
+ * @param {string} code A machine-readable code for the error.
+ * @param {string} reason A description of the error.
+ * @param {int} limit The limit that would have been gone over.
+ */
+function RegexLimitError(code, reason, limit) {
+	this.name = 'RegexLimitError';
+	this.code = code;
+	this.limit = limit;
+	this.message = reason;
+	this.stack = new Error(this.message).stack;
+}
+
+RegexLimitError.prototype = Object.create(Error.prototype);
+RegexLimitError.prototype.constructor = RegexLimitError;
+
+/**
+ * An error raised for a problem with a rule of a map of rules, with the 'error' conflicts option
+ * (see Regex.prototype.CheckRules). The code is one of:
+ *   - SHADOWED_RULE: The rule can never match, as earlier rules match everything it does.
+ *   - EMPTY_RULE: The rule matches the empty string.
+ *
+ * @param {string} code A machine-readable code for the error.
+ * @param {string} reason A description of the error.
+ * @param {string} rule The name of the rule.
+ */
+function RegexRuleError(code, reason, rule) {
+	this.name = 'RegexRuleError';
+	this.code = code;
+	this.rule = rule;
+	this.message = reason;
+	this.stack = new Error(this.message).stack;
+}
+
+RegexRuleError.prototype = Object.create(Error.prototype);
+RegexRuleError.prototype.constructor = RegexRuleError;
+
+
+
+/**
+ * A set of characters, such as the class [a-z] or [^abc], stored as a sorted array of disjoint,
+ * inclusive [from, to] ranges of character codes.
+ *
+ * @param {Array<Array<int>>} ranges The [from, to] ranges of character codes in the set (in any
+ *        order, and possibly overlapping).
+ * @param {boolean} negated True if the set should contain every character not in the ranges.
+ */
+function CharSet(ranges, negated) {
+	let sorted = ranges.slice().sort(function(a, b) { return a[0] - b[0]; });
+	let merged = [];
+	let last;
 	
-	nfaNew.AddTransition(nfa.end + 1, null, nfa.end + 2);
-	nfaNew.AddTransition(0, null, nfa.end + 2);
+	// Merge any ranges that overlap or touch.
+	for (let i = 0; i < sorted.length; i++) {
+		last = merged[merged.length - 1];
+		
+		if (last && sorted[i][0] <= last[1] + 1)
+			last[1] = Math.max(last[1], sorted[i][1]);
+		else
+			merged.push([sorted[i][0], sorted[i][1]]);
+	}
 	
-	return nfaNew;
+	this.ranges = negated ? this.Complement(merged) : merged;
 }
 
-NFA.prototype.eClosure = function(startStates) {
-	let reachable = [];
-	let r0, r1;
-	let state;
+/**
+ * The largest character code a set can contain (the last Unicode code point). Without the unicode
+ * flag, input is read a UTF-16 code unit at a time, so only codes up to 0xFFFF are ever matched.
+ */
+CharSet.MAX = 0x10FFFF;
+
+/**
+ * The ranges of the line terminators, which '.' doesn't match (unless dotAll is set).
+ */
+CharSet.LINE_TERMINATORS = [[0x0A, 0x0A], [0x0D, 0x0D], [0x2028, 0x2029]];
+
+/**
+ * The ranges of the shorthand classes \d, \w and \s (matching JavaScript's definitions).
+ */
+CharSet.SHORTHANDS = {
+	d: [[0x30, 0x39]],
+	w: [[0x30, 0x39], [0x41, 0x5A], [0x5F, 0x5F], [0x61, 0x7A]],
+	s: [[0x09, 0x0D], [0x20, 0x20], [0xA0, 0xA0], [0x1680, 0x1680], [0x2000, 0x200A], [0x2028, 0x2029],
+		[0x202F, 0x202F], [0x205F, 0x205F], [0x3000, 0x3000], [0xFEFF, 0xFEFF]]
+};
+
+/**
+ * The characters that are also word characters (for \w, \W, \b and \B) with both the unicode and
+ * ignoreCase flags, as they case-fold to one (ſ to s, and the Kelvin sign to k).
+ */
+CharSet.EXTRA_WORD_CHARACTERS = [[0x017F, 0x017F], [0x212A, 0x212A]];
+
+/**
+ * Finds the ranges of every character not in the passed (sorted and disjoint) ranges.
+ *
+ * @param {Array<Array<int>>} ranges The ranges to complement.
+ * @returns {Array<Array<int>>} The complementary ranges.
+ */
+CharSet.prototype.Complement = function(ranges) {
+	let complement = [];
+	let next = 0;
+	
+	for (let i = 0; i < ranges.length; i++) {
+		if (ranges[i][0] > next)
+			complement.push([next, ranges[i][0] - 1]);
+		
+		next = ranges[i][1] + 1;
+	}
+	
+	if (next <= CharSet.MAX)
+		complement.push([next, CharSet.MAX]);
+	
+	return complement;
+}
+
+/**
+ * Checks whether the set contains a character, via a binary search of its ranges.
+ *
+ * @param {int} code The character code to check.
+ * @returns {boolean} True if the set contains the character.
+ */
+CharSet.prototype.Contains = function(code) {
+	let low = 0;
+	let high = this.ranges.length - 1;
+	let middle;
+	
+	while (low <= high) {
+		middle = (low + high) >> 1;
+		
+		if (code < this.ranges[middle][0])
+			high = middle - 1;
+		else if (code > this.ranges[middle][1])
+			low = middle + 1;
+		else
+			return true;
+	}
+	
+	return false;
+}
+
+/**
+ * Finds the bracket form of the set (e.g. [a-dx]). Sets containing both the first and last
+ * character are written in negated form (e.g. [^a-c]).
+ *
+ * @returns {string} The set as a string.
+ */
+CharSet.prototype.ToString = function() {
+	let ranges = this.ranges;
+	let str = '[';
+	let escape = function(code) {
+		let char = String.fromCharCode(code);
+		
+		if (code > 0xFFFF)
+			return '\\u{' + code.toString(16) + '}';
+		
+		if (code < 0x20 || code > 0x7E)
+			return '\\u' + ('000' + code.toString(16)).slice(-4);
+		
+		return '\\]-^['.includes(char) ? '\\' + char : char;
+	};
+	
+	if (ranges.length > 0 && ranges[0][0] == 0 && ranges[ranges.length - 1][1] == CharSet.MAX) {
+		ranges = this.Complement(ranges);
+		str += '^';
+	}
+	
+	for (let i = 0; i < ranges.length; i++) {
+		str += escape(ranges[i][0]);
+		
+		if (ranges[i][1] != ranges[i][0])
+			str += '-' + escape(ranges[i][1]);
+	}
+	
+	return str + ']';
+}
+
+/**
+ * Finds a short label for the set, for diagrams: a single printable character is written as itself,
+ * and anything else in bracket form.
+ *
+ * @returns {string} The label.
+ */
+CharSet.prototype.ToLabel = function() {
+	let code = this.ranges.length == 1 && this.ranges[0][0] == this.ranges[0][1] ? this.ranges[0][0] : -1;
+	
+	if (code > 0x20 && code < 0x7F)
+		return String.fromCharCode(code);
+	
+	return this.ToString();
+}
+
+/**
+ * Finds the set of every character that matches a character of this set when ignoring case.
+ *
+ * @param {boolean} unicode Whether to use Unicode case folding, rather than JavaScript's non-unicode
+ *        case-insensitive matching (see CharSet.Canonicalize).
+ * @returns {CharSet} The case-folded set.
+ */
+CharSet.prototype.CaseFolded = function(unicode) {
+	let groups = CharSet.CaseGroups(unicode);
+	let ranges = this.ranges.slice();
+	let variants;
+	
+	// Only characters with other cases can add anything.
+	for (let i = 0; i < groups.codes.length; i++) {
+		if (!this.Contains(groups.codes[i]))
+			continue;
+		
+		variants = groups.variants[groups.codes[i]];
+		
+		for (let j = 0; j < variants.length; j++)
+			ranges.push([variants[j], variants[j]]);
+	}
+	
+	return new CharSet(ranges, false);
+}
+
+/**
+ * Finds the character that a character is compared as when ignoring case, the same way as
+ * JavaScript's RegExp. Without the unicode flag, this is the upper case character (unless that
+ * isn't a single character, or would turn a non-ASCII character into an ASCII one). With it, this
+ * is the simple case folding, which is found from the upper and lower case mappings.
+ *
+ * @param {int} code The character code.
+ * @param {boolean} unicode Whether to use Unicode case folding.
+ * @returns {int} The canonical character code.
+ */
+CharSet.Canonicalize = function(code, unicode) {
+	let single = function(str) {
+		return str.length == (str.codePointAt(0) > 0xFFFF ? 2 : 1);
+	};
+	let char, upper, lower;
+	
+	if (!unicode) {
+		upper = String.fromCharCode(code).toUpperCase();
+		
+		if (upper.length != 1 || (code >= 0x80 && upper.charCodeAt(0) < 0x80))
+			return code;
+		
+		return upper.charCodeAt(0);
+	}
+	
+	// The dotted and dotless i have no simple case folding (they only fold in Turkish).
+	if (code == 0x130 || code == 0x131)
+		return code;
+	
+	// Folding to the lower case of the upper case also joins characters with the same upper case
+	// (e.g. σ and ς).
+	char = String.fromCodePoint(code);
+	upper = char.toUpperCase();
+	
+	if (single(upper))
+		char = upper;
+	
+	lower = char.toLowerCase();
+	
+	return single(lower) ? lower.codePointAt(0) : code;
+}
+
+/**
+ * Finds every character with other cases (that is, other characters with the same canonical
+ * character), along with those other cases. As this checks every cased character, it is only done
+ * once (for each value of unicode).
+ *
+ * @param {boolean} unicode Whether to use Unicode case folding.
+ * @returns {Object} An object { codes, variants }, where codes is the sorted array of characters
+ *          with other cases, and variants maps each of them to its other cases.
+ */
+CharSet.CaseGroups = function(unicode) {
+	let key = unicode ? 'unicode' : 'ucs2';
+	let canonicals = {};
+	let groups = { codes: [], variants: {} };
+	let canonical;
+	
+	if (CharSet.caseGroups.hasOwnProperty(key))
+		return CharSet.caseGroups[key];
+	
+	// No character past 0x1FFFF has a case.
+	for (let code = 0; code <= (unicode ? 0x1FFFF : 0xFFFF); code++) {
+		canonical = CharSet.Canonicalize(code, unicode);
+		
+		if (!canonicals.hasOwnProperty(canonical))
+			canonicals[canonical] = [];
+		
+		canonicals[canonical].push(code);
+	}
+	
+	for (let code in canonicals) {
+		if (canonicals[code].length == 1)
+			continue;
+		
+		for (let i = 0; i < canonicals[code].length; i++) {
+			groups.codes.push(canonicals[code][i]);
+			groups.variants[canonicals[code][i]] = canonicals[code].filter(function(other) {
+				return other != canonicals[code][i];
+			});
+		}
+	}
+	
+	groups.codes.sort(function(a, b) { return a - b; });
+	CharSet.caseGroups[key] = groups;
+	
+	return groups;
+}
+
+/**
+ * The case groups found so far (see CharSet.CaseGroups).
+ */
+CharSet.caseGroups = {};
+
+
+
+/**
+ * Splits every character into disjoint classes (alphabet equivalence classes), such that each of
+ * the passed sets is a union of classes. As no transition can tell two characters of the same class
+ * apart, a DFA only needs one transition per class, however large the sets are.
+ *
+ * @param {Array<CharSet>} sets The sets to split the characters by.
+ * @param {boolean} [extraWords] Whether the extra word characters are word characters (see
+ *        Alphabet.Category).
+ */
+function Alphabet(sets, extraWords) {
+	let points = [0];
+	let signatures = {};
+	let signature, id, last, high;
+	
+	// Every range starts a new interval, as does the character after every range.
+	for (let i = 0; i < sets.length; i++) {
+		for (let j = 0; j < sets[i].ranges.length; j++)
+			points.push(sets[i].ranges[j][0], sets[i].ranges[j][1] + 1);
+	}
+	
+	// Once sorted, a point that was already added is next to itself.
+	points = points.sort(function(a, b) { return a - b; }).filter(function(point, i) {
+		return point <= CharSet.MAX && (i == 0 || point != points[i - 1]);
+	});
+	
+	// The sorted array of [from, to, class] intervals covering every character.
+	this.intervals = [];
+	
+	// The first character of each class.
+	this.representatives = [];
+	
+	for (let i = 0; i < points.length; i++) {
+		high = i + 1 < points.length ? points[i + 1] - 1 : CharSet.MAX;
+		
+		// Intervals that are in exactly the same sets belong to the same class.
+		signature = sets.map(function(set) { return set.Contains(points[i]) ? 1 : 0; }).join('');
+		
+		if (!signatures.hasOwnProperty(signature)) {
+			signatures[signature] = this.representatives.length;
+			this.representatives.push(points[i]);
+		}
+		
+		id = signatures[signature];
+		last = this.intervals[this.intervals.length - 1];
+		
+		if (last && last[2] == id)
+			last[1] = high;
+		else
+			this.intervals.push([points[i], high, id]);
+	}
+	
+	// The number of classes.
+	this.count = this.representatives.length;
+	
+	// The category of each class, which is only meaningful if the sets split the word and line
+	// terminator characters from the others (see Alphabet.Category).
+	this.categories = this.representatives.map(function(code) { return Alphabet.Category(code, extraWords); });
+}
+
+/**
+ * The categories of characters that assertions tell apart. BOUNDARY stands for the start or end
+ * of the input, where there is no character.
+ */
+Alphabet.BOUNDARY = 0;
+Alphabet.LINE = 1;
+Alphabet.WORD = 2;
+Alphabet.OTHER = 3;
+
+/**
+ * The sets that must be in an alphabet for every class to have a single category.
+ */
+Alphabet.CATEGORY_SETS = [new CharSet(CharSet.LINE_TERMINATORS, false), new CharSet(CharSet.SHORTHANDS.w, false)];
+
+/**
+ * The set of extra word characters, which must also be in the alphabet with both the unicode and
+ * ignoreCase flags.
+ */
+Alphabet.EXTRA_WORD_SET = new CharSet(CharSet.EXTRA_WORD_CHARACTERS, false);
+
+/**
+ * Finds the category of a character.
+ *
+ * @param {int} code The character code to find the category of.
+ * @param {boolean} [extraWords] Whether the extra word characters (CharSet.EXTRA_WORD_CHARACTERS)
+ *        are word characters, as they are with both the unicode and ignoreCase flags.
+ * @returns {int} Alphabet.LINE for a line terminator, Alphabet.WORD for a word character (\w),
+ *          and Alphabet.OTHER for anything else.
+ */
+Alphabet.Category = function(code, extraWords) {
+	if (Alphabet.CATEGORY_SETS[0].Contains(code))
+		return Alphabet.LINE;
+	
+	if (Alphabet.CATEGORY_SETS[1].Contains(code) || (extraWords && Alphabet.EXTRA_WORD_SET.Contains(code)))
+		return Alphabet.WORD;
+	
+	return Alphabet.OTHER;
+}
+
+/**
+ * Creates an alphabet from its intervals (e.g. those of a DFA loaded by DFA.FromJSON), rather than
+ * from the sets it splits.
+ *
+ * @param {Array<Array<int>>} intervals The sorted array of [from, to, class] intervals covering
+ *        every character.
+ * @param {boolean} [extraWords] Whether the extra word characters are word characters (see
+ *        Alphabet.Category).
+ * @returns {Alphabet} The alphabet.
+ */
+Alphabet.FromIntervals = function(intervals, extraWords) {
+	let alphabet = new Alphabet([]);
+	
+	alphabet.intervals = intervals;
+	alphabet.representatives = [];
+	
+	// Classes are numbered in order of their first character, which is their representative.
+	for (let i = 0; i < intervals.length; i++) {
+		if (alphabet.representatives[intervals[i][2]] == undefined)
+			alphabet.representatives[intervals[i][2]] = intervals[i][0];
+	}
+	
+	alphabet.count = alphabet.representatives.length;
+	alphabet.categories = alphabet.representatives.map(function(code) { return Alphabet.Category(code, extraWords); });
+	
+	return alphabet;
+}
+
+/**
+ * Creates the alphabet of an NFA, splitting the characters read by its transitions into classes.
+ * If the NFA has assertions, the classes are also split by category, so that each class has one.
+ *
+ * @param {NFA} nfa The NFA to find the alphabet of.
+ * @param {boolean} [extraWords] Whether the extra word characters are word characters (see
+ *        Alphabet.Category).
+ * @returns {Alphabet} The alphabet.
+ */
+Alphabet.FromNFA = function(nfa, extraWords) {
+	let sets = [];
+	
+	for (let value in nfa.sets)
+		sets.push(nfa.sets[value]);
+	
+	// Assertions look at the category of each character, so a class can't mix categories.
+	if (nfa.HasAssertions())
+		sets = sets.concat(Alphabet.CATEGORY_SETS);
+	
+	if (nfa.HasAssertions() && extraWords)
+		sets.push(Alphabet.EXTRA_WORD_SET);
+	
+	return new Alphabet(sets, extraWords);
+}
+
+/**
+ * Creates the alphabet of a product of two DFAs, whose classes are the intersections of a class of
+ * each alphabet (so that each class of either is a union of classes).
+ *
+ * @param {Alphabet} a The first alphabet.
+ * @param {Alphabet} b The second alphabet.
+ * @param {boolean} [extraWords] Whether the extra word characters are word characters (see
+ *        Alphabet.Category).
+ * @returns {Object} An object { alphabet, pairs }, where pairs is the [class in a, class in b] of
+ *          each class of the alphabet.
+ */
+Alphabet.Product = function(a, b, extraWords) {
+	let intervals = [];
+	let pairs = [];
+	let ids = {};
+	let i = 0;
+	let j = 0;
+	let low = 0;
+	let high, key, last;
+	
+	// Both alphabets cover every character, so their intervals can be walked together.
+	while (low <= CharSet.MAX) {
+		high = Math.min(a.intervals[i][1], b.intervals[j][1]);
+		key = a.intervals[i][2] + ',' + b.intervals[j][2];
+		
+		if (!ids.hasOwnProperty(key)) {
+			ids[key] = pairs.length;
+			pairs.push([a.intervals[i][2], b.intervals[j][2]]);
+		}
+		
+		last = intervals[intervals.length - 1];
+		
+		if (last && last[2] == ids[key])
+			last[1] = high;
+		else
+			intervals.push([low, high, ids[key]]);
+		
+		if (a.intervals[i][1] == high)
+			i++;
+		
+		if (b.intervals[j][1] == high)
+			j++;
+		
+		low = high + 1;
+	}
+	
+	return { alphabet: Alphabet.FromIntervals(intervals, extraWords), pairs: pairs };
+}
+
+/**
+ * Finds the class of a character, via a binary search of the intervals.
+ *
+ * @param {int} code The character code to find the class of.
+ * @returns {int} The class of the character.
+ */
+Alphabet.prototype.Lookup = function(code) {
+	let low = 0;
+	let high = this.intervals.length - 1;
+	let middle;
+	
+	while (low < high) {
+		middle = (low + high + 1) >> 1;
+		
+		if (code < this.intervals[middle][0])
+			high = middle - 1;
+		else
+			low = middle;
+	}
+	
+	return this.intervals[low][2];
+}
+
+/**
+ * Finds every character of a class.
+ *
+ * @param {int} id The class to find the characters of.
+ * @returns {CharSet} The set of characters in the class.
+ */
+Alphabet.prototype.Set = function(id) {
+	let ranges = [];
+	
+	for (let i = 0; i < this.intervals.length; i++) {
+		if (this.intervals[i][2] == id)
+			ranges.push([this.intervals[i][0], this.intervals[i][1]]);
+	}
+	
+	return new CharSet(ranges, false);
+}
+
+/**
+ * Finds a character of a class to show, e.g. in a counterexample: its first printable ASCII
+ * character if it has one, and otherwise its first character.
+ *
+ * @param {int} id The class to find a character of.
+ * @returns {int} The character code.
+ */
+Alphabet.prototype.Example = function(id) {
+	for (let i = 0; i < this.intervals.length; i++) {
+		if (this.intervals[i][2] == id && this.intervals[i][1] >= 0x20 && this.intervals[i][0] <= 0x7E)
+			return Math.max(this.intervals[i][0], 0x20);
+	}
+	
+	return this.representatives[id];
+}
+
+
+
+function NFA() {
+	this.transitionTable = {};
+	this.end = 0;
+	this.values = [];
+	
+	// Maps accepting states to the index of the rule they accept (null if only 'end' accepts).
+	this.tags = null;
+	
+	// Maps the values of transitions (a set in bracket form) to the CharSet they represent.
+	this.sets = {};
+	
+	// Maps the states that start or end a capturing group to the slot the position is saved in
+	// when they are reached: slot 2n for the start of group n, and 2n + 1 for its end.
+	this.saves = {};
+	
+	// Maps the start state of each copy of a repeated NFA to the slots of the groups inside it,
+	// which are cleared at the start of each repetition (as in RegExp).
+	this.resets = {};
+}
+
+/**
+ * The condition of each kind of assertion, given the categories (see Alphabet.BOUNDARY) of the
+ * characters before and after it. An assertion's transition has the kind as its value.
+ */
+NFA.ASSERTIONS = {
+	start: function(previous, next) { return previous == Alphabet.BOUNDARY; },
+	end: function(previous, next) { return next == Alphabet.BOUNDARY; },
+	lineStart: function(previous, next) { return previous == Alphabet.BOUNDARY || previous == Alphabet.LINE; },
+	lineEnd: function(previous, next) { return next == Alphabet.BOUNDARY || next == Alphabet.LINE; },
+	wordBoundary: function(previous, next) { return (previous == Alphabet.WORD) != (next == Alphabet.WORD); },
+	notWordBoundary: function(previous, next) { return (previous == Alphabet.WORD) == (next == Alphabet.WORD); }
+};
+
+NFA.prototype.Print = function() {
+	let value;
+	let n = this.values.length
+	
+	let str = "Start: 0\nEnd: " + this.end + "\n";
+	
+	
+	for (let i = 0; i < this.end; i++) {
+		if (!this.transitionTable.hasOwnProperty(i))
+			continue;
+		
+		
+		str += "\nState: " + i + ":";
+		
+		for (let j = 0; j < n; j++) {
+			value = this.values[j];
+			
+			str += " [" + value + ": ";
+			
+			if (!this.transitionTable[i].hasOwnProperty(value))
+				str += "/";
+			else {
+				let values = this.transitionTable[i][value];
+				str += values[0];
+				
+				for (let k = 1; k < values.length; k++)
+					str += ", " + values[k];
+			}
+			
+			str += "]";
+		}
+	}
+	
+	console.log(str);
+}
+
+/**
+ * Writes the NFA as a Graphviz DOT state diagram.
+ *
+ * @returns {string} The diagram, in DOT.
+ */
+NFA.prototype.ToDot = function() {
+	return this.Diagram().ToDot();
+}
+
+/**
+ * Writes the NFA as a Mermaid state diagram (a flowchart).
+ *
+ * @returns {string} The diagram, in Mermaid.
+ */
+NFA.prototype.ToMermaid = function() {
+	return this.Diagram().ToMermaid();
+}
+
+/**
+ * Builds a state diagram of the NFA. Parallel transitions between two states are merged into a
+ * single edge, whose label is the union of their sets, followed by ε for an empty transition and
+ * the symbol of any assertion.
+ *
+ * @returns {Diagram} The diagram.
+ */
+NFA.prototype.Diagram = function() {
+	let states = [];
+	let edges = [];
+	
+	for (let i = 0; i <= this.end; i++) {
+		let accepting = this.tags == null ? i == this.end : this.tags.hasOwnProperty(i);
+		let label = String(i);
+		
+		// The accepting states of a tagged NFA are labelled with the rule they accept.
+		if (this.tags != null && accepting)
+			label += '\ntag ' + this.tags[i];
+		
+		states.push({ id: i, label: label, accepting: accepting, dead: false });
+		
+		if (!this.transitionTable.hasOwnProperty(i))
+			continue;
+		
+		// Group the transitions by the state they go to.
+		let targets = {};
+		let order = [];
+		
+		for (let value in this.transitionTable[i]) {
+			let next = this.transitionTable[i][value];
+			
+			for (let j = 0; j < next.length; j++) {
+				if (!targets.hasOwnProperty(next[j])) {
+					targets[next[j]] = { ranges: [], others: [] };
+					order.push(next[j]);
+				}
+				
+				if (this.sets.hasOwnProperty(value))
+					targets[next[j]].ranges = targets[next[j]].ranges.concat(this.sets[value].ranges);
+				else if (NFA.ASSERTIONS.hasOwnProperty(value))
+					targets[next[j]].others.push(Regex.ASSERTIONS[value]);
+				else
+					targets[next[j]].others.push('ε');
+			}
+		}
+		
+		for (let j = 0; j < order.length; j++) {
+			let target = targets[order[j]];
+			let labels = target.ranges.length > 0 ? [new CharSet(target.ranges, false).ToLabel()] : [];
+			
+			edges.push({ from: i, to: order[j], label: labels.concat(target.others).join(', ') });
+		}
+	}
+	
+	return new Diagram('NFA', states, [{ state: 0, label: '' }], edges);
+}
+
+NFA.prototype.AddTransition = function(state0, value, state1) {
+	if (!this.transitionTable.hasOwnProperty(state0))
+		this.transitionTable[state0] = {};
+	
+	if (!this.transitionTable[state0].hasOwnProperty(value))
+		this.transitionTable[state0][value] = [];
+	
+	this.transitionTable[state0][value].push(state1);
+	
+	if (state1 > this.end)
+		this.end = state1;
+	
+	if (!this.values.includes(value))
+		this.values.push(value);
+}
+
+NFA.prototype.Singular = function(value) {
+	let nfa = new this.constructor();
+	
+	// An empty (null) value is added as an empty transition.
+	if (value == null) {
+		nfa.AddTransition(0, null, 1);
+		return nfa;
+	}
+	
+	// A single character is a set of just that character.
+	if (!(value instanceof CharSet))
+		value = new CharSet([[value.codePointAt(0), value.codePointAt(0)]], false);
+	
+	// The set is added as a single transition, whose value is the set in bracket form.
+	nfa.sets[value.ToString()] = value;
+	nfa.AddTransition(0, value.ToString(), 1);
+	
+	return nfa;
+}
+
+/**
+ * Builds an NFA with a single assertion transition.
+ *
+ * @param {string} kind The kind of assertion (a key of NFA.ASSERTIONS).
+ * @returns {NFA} The NFA.
+ */
+NFA.prototype.Assertion = function(kind) {
+	let nfa = new this.constructor();
+	
+	nfa.AddTransition(0, kind, 1);
+	
+	return nfa;
+}
+
+/**
+ * Checks whether any of the NFA's transitions are assertions.
+ *
+ * @returns {boolean} True if the NFA has an assertion transition.
+ */
+NFA.prototype.HasAssertions = function() {
+	return this.values.some(function(value) { return NFA.ASSERTIONS.hasOwnProperty(value); });
+}
+
+NFA.prototype.AddTransitions = function(nfa, start) {
+	let n = nfa.values.length;
+	let value, states;
+	
+	for (let key in nfa.sets)
+		this.sets[key] = nfa.sets[key];
+	
+	for (let state in nfa.saves)
+		this.saves[start + Number(state)] = nfa.saves[state];
+	
+	for (let state in nfa.resets)
+		this.resets[start + Number(state)] = nfa.resets[state];
+	
+	for (let i = 0; i < nfa.end; i++) {
+		// States without transitions have nothing to copy.
+		if (!nfa.transitionTable.hasOwnProperty(i))
+			continue;
+		
+		this.transitionTable[start + i] = {};
+		
+		for (let j = 0; j < n; j++) {
+			value = nfa.values[j];
+			
+			if (nfa.transitionTable[i].hasOwnProperty(value)) {
+				states = nfa.transitionTable[i][value];
+				
+				for (let k = 0; k < states.length; k++)
+					this.AddTransition(start + i, value, start + states[k]);
+			}
+		}
+	}
+}
+
+NFA.prototype.And = function(nfaA, nfaB) {
+	let nfa = new this.constructor();
+
+	nfa.AddTransitions(nfaA, 0);
+	nfa.AddTransition(nfaA.end, null, nfaA.end + 1);
+	nfa.AddTransitions(nfaB, nfaA.end + 1);
+	
+	return nfa;
+}
+
+/**
+ * Builds an NFA matching the passed NFA as a capturing group, between a new start state and a new
+ * end state that save the positions of the start and end of the group.
+ *
+ * @param {NFA} nfa The NFA of the group's contents.
+ * @param {int} number The number of the group (from 1).
+ * @returns {NFA} The NFA of the group.
+ */
+NFA.prototype.Group = function(nfa, number) {
+	let result = new this.constructor();
+	
+	result.AddTransition(0, null, 1);
+	result.AddTransitions(nfa, 1);
+	result.AddTransition(nfa.end + 1, null, nfa.end + 2);
+	
+	result.saves[0] = 2 * number;
+	result.saves[nfa.end + 2] = 2 * number + 1;
+	
+	return result;
+}
+
+/**
+ * Finds the slots of every capturing group in the NFA.
+ *
+ * @returns {Array<int>} The slots (see NFA.saves).
+ */
+NFA.prototype.Slots = function() {
+	let slots = [];
+	
+	for (let state in this.saves)
+		slots.push(this.saves[state]);
+	
+	return slots.sort(function(a, b) { return a - b; });
+}
+
+NFA.prototype.Or = function(nfaA, nfaB) {
+	let nfa = new this.constructor();
+	let k = 1;
+	
+	nfa.AddTransition(0, null, 1);
+	nfa.AddTransitions(nfaA, 1);
+	
+	nfa.AddTransition(0, null, nfaA.end + 2);
+	nfa.AddTransitions(nfaB, nfaA.end + 2);
+	
+	nfa.AddTransition(nfaA.end + 1, null, nfaA.end + nfaB.end + 3);
+	nfa.AddTransition(nfaA.end + nfaB.end + 2, null, nfaA.end + nfaB.end + 3);
+	return nfa;
+}
+
+NFA.prototype.Asterisk = function(nfa) {
+	let nfaNew = new this.constructor();
+
+	nfaNew.AddTransition(0, null, 1);
+	nfaNew.AddTransitions(nfa, 1);
+	
+	nfaNew.AddTransition(nfa.end + 1, null, 1);
+	
+	nfaNew.AddTransition(nfa.end + 1, null, nfa.end + 2);
+	nfaNew.AddTransition(0, null, nfa.end + 2);
+	
+	return nfaNew;
+}
+
+/**
+ * Builds an NFA matching the passed NFA between min and max times (where max is -1 if there is no
+ * maximum). The copies of the NFA are laid out one after another in a single pass, rather than
+ * being joined by repeated calls to And (each of which would copy everything built so far).
+ *
+ * For example, a{2,4} becomes: a a (a (a)?)?, and a{2,} becomes: a a a*.
+ *
+ * @param {NFA} nfa The NFA to repeat.
+ * @param {int} min The minimum number of repetitions.
+ * @param {int} max The maximum number of repetitions, or -1 if there is no maximum.
+ * @returns {NFA} The repeated NFA.
+ */
+NFA.prototype.Repeat = function(nfa, min, max) {
+	let result = new this.constructor();
+	let slots = nfa.Slots();
+	let tail = 0;
+	let size = 1;
+	let skips = [];
+	let start;
+	
+	// Adds a copy of the NFA after the tail state, and makes the end of the copy the new tail.
+	let append = function() {
+		start = size;
+		
+		result.AddTransition(tail, null, start);
+		result.AddTransitions(nfa, start);
+		
+		if (slots.length > 0)
+			result.resets[start] = slots;
+		
+		tail = start + nfa.end;
+		size = tail + 1;
+	};
+	
+	// The required copies.
+	for (let i = 0; i < min; i++)
+		append();
+	
+	// With no maximum, a final copy may loop back to its own start, or be skipped entirely.
+	if (max == -1) {
+		skips.push(tail);
+		append();
+		result.AddTransition(tail, null, start);
+	}
+	
+	// Otherwise, each optional copy may be skipped (along with every copy after it).
+	for (let i = min; i < max; i++) {
+		skips.push(tail);
+		append();
+	}
+	
+	// Any skipped copies jump straight to a new end state.
+	if (skips.length > 0) {
+		for (let i = 0; i < skips.length; i++)
+			result.AddTransition(skips[i], null, size);
+		
+		result.AddTransition(tail, null, size);
+	}
+	
+	return result;
+}
+
+/**
+ * Combines the passed NFAs into one NFA, whose start state has an empty transition to the start of
+ * each. The end state of each NFA becomes an accepting state, tagged with the index of that NFA.
+ *
+ * @param {Array<NFA>} nfas The NFAs to combine (in priority order).
+ * @returns {NFA} The combined NFA.
+ */
+NFA.prototype.Tagged = function(nfas) {
+	let nfa = new this.constructor();
+	let start = 1;
+	
+	nfa.tags = {};
+	
+	for (let i = 0; i < nfas.length; i++) {
+		nfa.AddTransition(0, null, start);
+		nfa.AddTransitions(nfas[i], start);
+		
+		nfa.tags[start + nfas[i].end] = i;
+		start += nfas[i].end + 1;
+	}
+	
+	// Each rule numbers its groups from 1, so captures are only kept for a single regex.
+	nfa.saves = {};
+	nfa.resets = {};
+	
+	return nfa;
+}
+
+/**
+ * Finds the tag of the highest priority accepting state out of the passed states.
+ *
+ * @param {Array<int>} states The states to check.
+ * @returns {int} The lowest tag of any accepting state in states (0 if the NFA is untagged and
+ *          states contains the end state), or -1 if none of the states accept.
+ */
+NFA.prototype.AcceptingTag = function(states) {
+	let tag = -1;
+	
+	// Without tags, only the end state accepts.
+	if (this.tags == null)
+		return states.includes(this.end) ? 0 : -1;
+	
+	for (let i = 0; i < states.length; i++) {
+		if (this.tags.hasOwnProperty(states[i]) && (tag == -1 || this.tags[states[i]] < tag))
+			tag = this.tags[states[i]];
+	}
+	
+	return tag;
+}
+
+/**
+ * Finds every tag the passed states accept with (see NFA.prototype.AcceptingTag).
+ *
+ * @param {Array<int>} states The states.
+ * @returns {Array<int>} The sorted tags.
+ */
+NFA.prototype.AcceptingTags = function(states) {
+	let tags = [];
+	
+	if (this.tags == null)
+		return states.includes(this.end) ? [0] : [];
+	
+	for (let i = 0; i < states.length; i++) {
+		if (this.tags.hasOwnProperty(states[i]) && !tags.includes(this.tags[states[i]]))
+			tags.push(this.tags[states[i]]);
+	}
+	
+	return tags.sort(function(a, b) { return a - b; });
+}
+
+/**
+ * Finds every state reachable from the passed states by empty transitions (including the passed
+ * states themselves).
+ *
+ * @param {Array<int>} startStates The states to start from.
+ * @returns {Array<int>} The reachable states, the passed states first.
+ */
+NFA.prototype.eClosure = function(startStates) {
+	let reachable = [];
+	let reached = {};
+	let states;
+	
+	// Add all start states.
+	for (let i = 0; i < startStates.length; i++) {
+		if (!reached[startStates[i]]) {
+			reached[startStates[i]] = true;
+			reachable.push(startStates[i]);
+		}
+	}
+	
+	// Add all states immediately reachable by empty transitions from each reachable state
+	// (including those added along the way). States already reached aren't added again, so cycles
+	// of empty transitions (e.g. from '(a?)*') don't loop forever.
+	for (let i = 0; i < reachable.length; i++) {
+		if (!this.transitionTable.hasOwnProperty(reachable[i]) || !this.transitionTable[reachable[i]].hasOwnProperty(null))
+			continue;
+		
+		states = this.transitionTable[reachable[i]][null];
+		
+		for (let j = 0; j < states.length; j++) {
+			if (!reached[states[j]]) {
+				reached[states[j]] = true;
+				reachable.push(states[j]);
+			}
+		}
+	}
+	
+	// Return all reachable states.
+	return reachable;
+}
+
+/**
+ * Finds every state reachable from the passed states by empty transitions and by the assertions
+ * that hold between characters of the passed categories.
+ *
+ * @param {Array<int>} startStates The states to start from.
+ * @param {int} previous The category of the character before (see Alphabet.BOUNDARY).
+ * @param {int} next The category of the character after.
+ * @returns {Array<int>} The reachable states.
+ */
+NFA.prototype.AssertionClosure = function(startStates, previous, next) {
+	let values = [null];
+	let reachable = [];
+	let reached = {};
+	let states;
+	
+	// Find the assertions that hold here, which can be taken along with the empty transitions.
+	for (let kind in NFA.ASSERTIONS) {
+		if (NFA.ASSERTIONS[kind](previous, next))
+			values.push(kind);
+	}
+	
+	for (let i = 0; i < startStates.length; i++) {
+		if (!reached[startStates[i]]) {
+			reached[startStates[i]] = true;
+			reachable.push(startStates[i]);
+		}
+	}
+	
+	for (let i = 0; i < reachable.length; i++) {
+		if (!this.transitionTable.hasOwnProperty(reachable[i]))
+			continue;
+		
+		for (let j = 0; j < values.length; j++) {
+			if (!this.transitionTable[reachable[i]].hasOwnProperty(values[j]))
+				continue;
+			
+			states = this.transitionTable[reachable[i]][values[j]];
+			
+			for (let k = 0; k < states.length; k++) {
+				if (!reached[states[k]]) {
+					reached[states[k]] = true;
+					reachable.push(states[k]);
+				}
+			}
+		}
+	}
+	
+	return reachable;
+}
+
+/**
+ * Finds every state reachable from the passed states by reading a character.
+ *
+ * @param {Array<int>} startStates The states to move from.
+ * @param {int} symbol The character code read.
+ * @returns {Array<int>} The states reached.
+ */
+NFA.prototype.Move = function(startStates, symbol) {
+	let reachable = [];
+	let reached = {};
+	let resultantStates;
+	let state;
+	
+	// Add all states reachable, after symbol 'symbol' has been input.
+	for (let i = 0; i < startStates.length; i++) {
+		state = startStates[i];
+
+		if (!this.transitionTable.hasOwnProperty(state))
+			continue;
+		
+		// If there is a transition from this state given a set containing the symbol, add all
+		// resultant states to reachable.
+		for (let value in this.transitionTable[state]) {
+			if (!this.sets.hasOwnProperty(value) || !this.sets[value].Contains(symbol))
+				continue;
+			
+			resultantStates = this.transitionTable[state][value];
+			
+			for (let j = 0; j < resultantStates.length; j++) {
+				if (!reached[resultantStates[j]]) {
+					reached[resultantStates[j]] = true;
+					reachable.push(resultantStates[j]);
+				}
+			}
+		}
+	}
+	
+	// Return all reachable states.
+	return reachable;
+}
+
+
+
+
+function DFA() {
+	this.transitionTable = {};
+	
+	// The classes of characters the DFA's transitions are on.
+	this.alphabet = null;
+	
+	// The NFA states each state represents, if known (see SubsetConstruction.StateMapping).
+	this.stateMapping = null;
+	
+	// The state to start in, by the category of the character before the start (see
+	// Alphabet.BOUNDARY). These only differ if the regex has assertions.
+	this.starts = [0, 0, 0, 0];
+	
+	// Whether input is read a code point at a time, rather than a code unit at a time.
+	this.unicode = false;
+	
+	// Whether the regex ignores case, which with unicode makes the extra word characters word
+	// characters (see Alphabet.Category).
+	this.ignoreCase = false;
+	
+	// Whether each state is dead, found once the DFA is first searched (see DFA.prototype.DeadStates).
+	this.dead = null;
+}
+
+
+DFA.prototype.IsValidWord = function(word) {
+	let state = this.starts[Alphabet.BOUNDARY];
+	
+	let symbol, code;
+	
+	for (let i = 0; i < word.length; i += code > 0xFFFF ? 2 : 1) {
+		if (!this.transitionTable.hasOwnProperty(state))
+			return false;
+		
+		code = this.CodeAt(word, i);
+		symbol = this.alphabet.Lookup(code);
+		
+		if (!this.transitionTable[state].hasOwnProperty(symbol))
+			return false;
+		
+		state = this.transitionTable[state][symbol];
+	}
+	
+	if (this.AcceptingTag(state, Alphabet.BOUNDARY) != -1)
+		return true;
+	
+	return false;
+}
+
+/**
+ * Finds every (non-overlapping) match in the word, scanning from left to right and taking the
+ * longest match at each position.
+ *
+ * @param {string} word The string to search.
+ * @param {Object} [options] Search options:
+ *   - unique {boolean} Whether to only include the first match of each value (default: true).
+ * @returns {Array<Object>} An array of { value, index, end } matches (see Search).
+ */
+DFA.prototype.FindAll = function(word, options) {
+	let unique = !options || options.unique !== false;
+	let valid = [];
+	let values = new Set();
+	
+	for (let match of this.MatchAll(word)) {
+		if (unique && values.has(match.value))
+			continue;
+		
+		values.add(match.value);
+		valid.push(match);
+	}
+
+	return valid;
+}
+
+/**
+ * Lazily finds every (non-overlapping) match in the word, scanning from left to right and taking
+ * the longest match at each position. Each match is only searched for once the previous one has
+ * been used.
+ *
+ * @param {string} word The string to search.
+ * @returns {Generator<Object>} A generator of { value, index, end } matches (see Search).
+ */
+DFA.prototype.MatchAll = function*(word) {
+	let match = this.Search(word, 0);
+	
+	while (match != null) {
+		yield match;
+		match = this.Search(word, match.end);
+	}
+}
+
+/**
+ * Finds the first match in the word at or after the given index (the longest match, if several
+ * start at the same index).
+ *
+ * @param {string} word The string to search.
+ * @param {int} [fromIndex] The index to start searching from (default: 0).
+ * @returns {Object} The match { value, index, end }, where value is the matched string, index is
+ *          the index it starts at, and end is the index after its last character. If there is no
+ *          match, null.
+ */
+DFA.prototype.Search = function(word, fromIndex) {
+	let last;
+	
+	for (let i = fromIndex || 0; i < word.length; i += this.CodeAt(word, i) > 0xFFFF ? 2 : 1) {
+		last = this.ValidWordLength(word, i);
+		
+		if (last != -1)
+			return { value: word.substring(i, last + 1), index: i, end: last + 1 };
+	}
+	
+	return null;
+}
+
+DFA.prototype.ValidWordLength = function(word, start) {
+	return this.LongestMatch(word, start).last;
+}
+
+/**
+ * Finds the longest match of the DFA starting at the given index of the word.
+ *
+ * @param {string} word The string to match against.
+ * @param {int} start The index to start matching from.
+ * @returns {Object} An object { last, tag }, where last is the index of the final character of the
+ *          match (or -1 if there is no match) and tag is the tag of the accepting state reached.
+ */
+DFA.prototype.LongestMatch = function(word, start) {
+	let state = this.starts[this.Category(word, start - 1)];
+	let lastValid = -1;
+	let tag = -1;
+	let symbol, accepted, code, width;
+	
+	for (let i = start; i < word.length; i += width) {
+		
+		if (!this.transitionTable.hasOwnProperty(state)) {
+			break;
+		}
+		
+		code = this.CodeAt(word, i);
+		width = code > 0xFFFF ? 2 : 1;
+		symbol = this.alphabet.Lookup(code);
+		
+		if (!this.transitionTable[state].hasOwnProperty(symbol)) {
+			break;
+		}
+		
+		else if (this.IsDeadState(this.transitionTable[state][symbol])) {
+			break;
+		}
+			
+		state = this.transitionTable[state][symbol];
+		accepted = this.AcceptingTag(state, this.Category(word, i + width));
+		
+		if (accepted != -1) {
+			lastValid = i + width - 1;
+			tag = accepted;
+		}
+	}
+	
+	return { last: lastValid, tag: tag };
+}
+
+/**
+ * Finds the category of a character of the word, which decides which assertions hold next to it.
+ *
+ * @param {string} word The word.
+ * @param {int} i The index of the character.
+ * @returns {int} The category of the character (see Alphabet.BOUNDARY), or Alphabet.BOUNDARY if
+ *          the index is outside of the word.
+ */
+DFA.prototype.Category = function(word, i) {
+	if (i < 0 || i >= word.length)
+		return Alphabet.BOUNDARY;
+	
+	return this.alphabet.categories[this.alphabet.Lookup(this.CodeAt(word, i))];
+}
+
+/**
+ * The version of the format written by DFA.prototype.ToJSON.
+ */
+DFA.JSON_VERSION = 1;
+
+/**
+ * Finds a compact form of the DFA, which can be turned into JSON and loaded by DFA.FromJSON. The
+ * format (version 1) is an object with:
+ *   - version: DFA.JSON_VERSION.
+ *   - unicode: Whether the DFA reads code points.
+ *   - ignoreCase: Whether the regex ignores case.
+ *   - tagged: Whether the accepting states have tags (for a map of rules).
+ *   - starts: The start state by category of the previous character (see DFA.starts).
+ *   - intervals: The alphabet, as a flat array of [from, to, class, from, to, class, ...].
+ *   - states: An array of states, each an array of the next state on each class (-1 for none).
+ *   - accept: The tag each state accepts with at the end of the input (-1 if it doesn't accept).
+ *   - lookahead: With assertions, each state's tags by category of the next character.
+ *
+ * The states of the DFA must be numbered from 0 with no gaps (as they are after construction).
+ * The NFA states each state represents aren't included.
+ *
+ * @returns {Object} The DFA's compact form.
+ */
+DFA.prototype.ToJSON = function() {
+	let n = this.CountStates();
+	let json = {
+		version: DFA.JSON_VERSION,
+		unicode: this.unicode,
+		ignoreCase: this.ignoreCase,
+		tagged: false,
+		starts: this.starts.slice(),
+		intervals: [],
+		states: [],
+		accept: []
+	};
+	
+	for (let i = 0; i < this.alphabet.intervals.length; i++)
+		json.intervals.push(this.alphabet.intervals[i][0], this.alphabet.intervals[i][1], this.alphabet.intervals[i][2]);
+	
+	for (let state = 0; state < n; state++) {
+		let row = this.transitionTable[state];
+		let next = [];
+		
+		for (let c = 0; c < this.alphabet.count; c++)
+			next.push(row.hasOwnProperty(c) ? row[c] : -1);
+		
+		json.states.push(next);
+		json.accept.push(this.AcceptingTag(state, Alphabet.BOUNDARY));
+		
+		if (row.hasOwnProperty('tag'))
+			json.tagged = true;
+		
+		if (row.hasOwnProperty('lookahead')) {
+			json.lookahead = json.lookahead || [];
+			json.lookahead.push(row['lookahead'].slice());
+		}
+	}
+	
+	return json;
+}
+
+/**
+ * Creates a DFA from the compact form given by DFA.prototype.ToJSON.
+ *
+ * @param {Object|string} json The compact form, or its JSON string.
+ * @returns {DFA} The DFA.
+ * @throws {Error} If the compact form has an unsupported version, or no ignoreCase flag.
+ */
+DFA.FromJSON = function(json) {
+	let dfa = new DFA();
+	let intervals = [];
+	
+	if (typeof json == 'string')
+		json = JSON.parse(json);
+	
+	if (json.version != DFA.JSON_VERSION)
+		throw new Error("Unsupported compiled DFA version " + json.version + " (expected " + DFA.JSON_VERSION + ").");
+	
+	if (typeof json.ignoreCase != 'boolean')
+		throw new Error("The compiled DFA has no ignoreCase flag.");
+	
+	for (let i = 0; i < json.intervals.length; i += 3)
+		intervals.push([json.intervals[i], json.intervals[i + 1], json.intervals[i + 2]]);
+	
+	dfa.alphabet = Alphabet.FromIntervals(intervals, json.unicode && json.ignoreCase);
+	dfa.starts = json.starts.slice();
+	dfa.unicode = json.unicode;
+	dfa.ignoreCase = json.ignoreCase;
+	
+	for (let state = 0; state < json.states.length; state++) {
+		let row = { start: dfa.starts.includes(state), end: json.accept[state] != -1 };
+		
+		if (json.tagged && json.accept[state] != -1)
+			row['tag'] = json.accept[state];
+		
+		if (json.lookahead)
+			row['lookahead'] = json.lookahead[state].slice();
+		
+		for (let c = 0; c < json.states[state].length; c++) {
+			if (json.states[state][c] != -1)
+				row[c] = json.states[state][c];
+		}
+		
+		dfa.transitionTable[state] = row;
+	}
+	
+	return dfa;
+}
+
+/**
+ * Generates the source code of a standalone, table-driven JavaScript scanner for the DFA, which
+ * doesn't need this file to run. The scanner exports:
+ *   - match(input): Whether the whole input matches (see DFA.prototype.IsValidWord).
+ *   - search(input, fromIndex): The first match (see DFA.prototype.Search).
+ *   - findAll(input, options): Every match (see DFA.prototype.FindAll).
+ *   - tokenize(input): The input split into { type, value } tokens (see Regex.prototype.Tokenize),
+ *     which throws if there are no rules.
+ *
+ * Transitions into dead states are left out of the table, so the scanner stops as soon as no
+ * match can be longer.
+ *
+ * @param {Object} [options] Generator options:
+ *   - rules {Array<string>} The names of the rules, by tag (default: null).
+ *   - format {string} 'esm' for an ES module, or 'commonjs' for a CommonJS module (default: 'esm').
+ * @returns {string} The scanner's source code.
+ */
+DFA.prototype.ToJavaScript = function(options) {
+	let rules = options && options.rules ? options.rules : null;
+	let format = options && options.format ? options.format : 'esm';
+	let json = this.ToJSON();
+	let dead = [];
+	let bounds = [];
+	let classes = [];
+	
+	for (let state = 0; state < json.states.length; state++)
+		dead[state] = this.IsDeadState(state);
+	
+	// Transitions into dead states become -1, the same as no transition.
+	let table = json.states.map(function(next) {
+		return next.map(function(state) { return state != -1 && dead[state] ? -1 : state; });
+	});
+	
+	for (let i = 0; i < this.alphabet.intervals.length; i++) {
+		bounds.push(this.alphabet.intervals[i][0]);
+		classes.push(this.alphabet.intervals[i][2]);
+	}
+	
+	let exported = format == 'esm' ? 'export function ' : 'function ';
+	let lines = [
+		"// A scanner generated by regex.js. It has no dependencies.",
+		"",
+		"let unicode = " + json.unicode + ";",
+		"let rules = " + JSON.stringify(rules) + ";",
+		"let starts = " + JSON.stringify(json.starts) + ";",
+		"let bounds = " + JSON.stringify(bounds) + ";",
+		"let classes = " + JSON.stringify(classes) + ";",
+		"let categories = " + JSON.stringify(this.alphabet.categories) + ";",
+		"let table = [",
+		table.map(function(next) { return "\t" + JSON.stringify(next); }).join(",\n"),
+		"];",
+		"let accept = " + JSON.stringify(json.accept) + ";",
+		"let lookahead = " + JSON.stringify(json.lookahead || null) + ";",
+		"",
+		"function classOf(code) {",
+		"\tlet low = 0;",
+		"\tlet high = bounds.length - 1;",
+		"\t",
+		"\twhile (low < high) {",
+		"\t\tlet middle = (low + high + 1) >> 1;",
+		"\t\t",
+		"\t\tif (code < bounds[middle])",
+		"\t\t\thigh = middle - 1;",
+		"\t\telse",
+		"\t\t\tlow = middle;",
+		"\t}",
+		"\t",
+		"\treturn classes[low];",
+		"}",
+		"",
+		"function codeAt(input, i) {",
+		"\treturn unicode ? input.codePointAt(i) : input.charCodeAt(i);",
+		"}",
+		"",
+		"function category(input, i) {",
+		"\treturn i < 0 || i >= input.length ? 0 : categories[classOf(codeAt(input, i))];",
+		"}",
+		"",
+		"function acceptingTag(state, next) {",
+		"\treturn lookahead ? lookahead[state][next] : accept[state];",
+		"}",
+		"",
+		"function longestMatch(input, start) {",
+		"\tlet state = starts[category(input, start - 1)];",
+		"\tlet end = -1;",
+		"\tlet tag = -1;",
+		"\t",
+		"\tfor (let i = start; i < input.length; ) {",
+		"\t\tlet code = codeAt(input, i);",
+		"\t\t",
+		"\t\tstate = table[state][classOf(code)];",
+		"\t\t",
+		"\t\tif (state == -1)",
+		"\t\t\tbreak;",
+		"\t\t",
+		"\t\ti += code > 0xFFFF ? 2 : 1;",
+		"\t\t",
+		"\t\tif (acceptingTag(state, category(input, i)) != -1) {",
+		"\t\t\tend = i;",
+		"\t\t\ttag = acceptingTag(state, category(input, i));",
+		"\t\t}",
+		"\t}",
+		"\t",
+		"\treturn { end: end, tag: tag };",
+		"}",
+		"",
+		exported + "match(input) {",
+		"\tlet state = starts[0];",
+		"\t",
+		"\tfor (let i = 0; i < input.length && state != -1; ) {",
+		"\t\tlet code = codeAt(input, i);",
+		"\t\t",
+		"\t\tstate = table[state][classOf(code)];",
+		"\t\ti += code > 0xFFFF ? 2 : 1;",
+		"\t}",
+		"\t",
+		"\treturn state != -1 && acceptingTag(state, 0) != -1;",
+		"}",
+		"",
+		exported + "search(input, fromIndex) {",
+		"\tfor (let i = fromIndex || 0; i < input.length; i += codeAt(input, i) > 0xFFFF ? 2 : 1) {",
+		"\t\tlet found = longestMatch(input, i);",
+		"\t\t",
+		"\t\tif (found.end != -1)",
+		"\t\t\treturn { value: input.substring(i, found.end), index: i, end: found.end };",
+		"\t}",
+		"\t",
+		"\treturn null;",
+		"}",
+		"",
+		exported + "findAll(input, options) {",
+		"\tlet unique = !options || options.unique !== false;",
+		"\tlet matches = [];",
+		"\tlet values = new Set();",
+		"\t",
+		"\tfor (let found = search(input, 0); found != null; found = search(input, found.end)) {",
+		"\t\tif (unique && values.has(found.value))",
+		"\t\t\tcontinue;",
+		"\t\t",
+		"\t\tvalues.add(found.value);",
+		"\t\tmatches.push(found);",
+		"\t}",
+		"\t",
+		"\treturn matches;",
+		"}",
+		"",
+		exported + "tokenize(input) {",
+		"\tlet tokens = [];",
+		"\t",
+		"\tif (rules == null)",
+		"\t\tthrow new Error(\"This scanner has no rules to tokenize with.\");",
+		"\t",
+		"\tfor (let i = 0; i < input.length; ) {",
+		"\t\tlet found = longestMatch(input, i);",
+		"\t\t",
+		"\t\tif (found.end == -1)",
+		"\t\t\tthrow new Error(\"No rule matches the input at index \" + i + \".\");",
+		"\t\t",
+		"\t\ttokens.push({ type: rules[found.tag], value: input.substring(i, found.end) });",
+		"\t\ti = found.end;",
+		"\t}",
+		"\t",
+		"\treturn tokens;",
+		"}"
+	];
+	
+	if (format == 'commonjs')
+		lines.push("", "module.exports = { match: match, search: search, findAll: findAll, tokenize: tokenize };");
+	
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * Finds the character at an index of the word: the code point with unicode, or else the code unit.
+ *
+ * @param {string} word The word.
+ * @param {int} i The index of the character.
+ * @returns {int} The character code.
+ */
+DFA.prototype.CodeAt = function(word, i) {
+	return this.unicode ? word.codePointAt(i) : word.charCodeAt(i);
+}
+
+/**
+ * Finds the tag a state accepts with, given the category of the next character. Only the states of
+ * a regex with assertions have a 'lookahead' array of tags by category, as otherwise the next
+ * character never matters.
+ *
+ * @param {int} state The state.
+ * @param {int} next The category of the next character (see Alphabet.BOUNDARY).
+ * @returns {int} The tag accepted (0 if the DFA is untagged), or -1 if the state doesn't accept.
+ */
+DFA.prototype.AcceptingTag = function(state, next) {
+	let row = this.transitionTable[state];
+	
+	if (row.hasOwnProperty('lookahead'))
+		return row['lookahead'][next];
+	
+	if (!row['end'])
+		return -1;
+	
+	return row.hasOwnProperty('tag') ? row['tag'] : 0;
+}
+
+/**
+ * Checks whether a state accepts before any category of next character.
+ *
+ * @param {int} state The state.
+ * @returns {boolean} True if the state can accept.
+ */
+DFA.prototype.IsAccepting = function(state) {
+	let row = this.transitionTable[state];
+	
+	if (row.hasOwnProperty('lookahead'))
+		return row['lookahead'].some(function(tag) { return tag != -1; });
+	
+	return row['end'];
+}
+
+/**
+ * Copies the DFA, so that changes to either don't affect the other. The alphabet is shared, as it
+ * never changes.
+ *
+ * @returns {DFA} The copy.
+ */
+DFA.prototype.Copy = function() {
+	let dfa = new DFA();
+	
+	for (let state in this.transitionTable)
+		dfa.transitionTable[state] = Object.assign({}, this.transitionTable[state]);
+	
+	dfa.alphabet = this.alphabet;
+	dfa.stateMapping = this.stateMapping;
+	dfa.starts = this.starts.slice();
+	dfa.unicode = this.unicode;
+	dfa.ignoreCase = this.ignoreCase;
+	
+	return dfa;
+}
+
+/**
+ * Counts the number of states in the DFA (including any dead state).
+ *
+ * @returns {int} The number of states.
+ */
+DFA.prototype.CountStates = function() {
+	return Object.keys(this.transitionTable).length;
+}
+
+/**
+ * Finds the symbols a state has transitions for (ignoring the 'start', 'end' and 'tag' flags).
+ *
+ * @param {int} state The state to get the symbols of.
+ * @returns {Array<string>} The symbols of the state's transitions.
+ */
+DFA.prototype.Symbols = function(state) {
+	return Object.keys(this.transitionTable[state]).filter(function(key) {
+		return key != 'start' && key != 'end' && key != 'tag' && key != 'lookahead' && key != 'tags';
+	});
+}
+
+/**
+ * Finds the dead states of the DFA, from which no accepting state can be reached. Rather than
+ * searching forwards from every state, the live states are found in one pass backwards from the
+ * accepting states.
+ *
+ * @returns {Array<boolean>} Whether each state is dead.
+ */
+DFA.prototype.DeadStates = function() {
+	let states = Object.keys(this.transitionTable).map(Number);
+	let predecessors = [];
+	let dead = [];
+	let worklist = [];
+	let symbols, next;
+	
+	for (let i = 0; i < states.length; i++)
+		predecessors[states[i]] = [];
+	
+	for (let i = 0; i < states.length; i++) {
+		symbols = this.Symbols(states[i]);
+		
+		for (let j = 0; j < symbols.length; j++) {
+			next = this.transitionTable[states[i]][symbols[j]];
+			
+			if (predecessors[next])
+				predecessors[next].push(states[i]);
+		}
+		
+		dead[states[i]] = !this.IsAccepting(states[i]);
+		
+		if (!dead[states[i]])
+			worklist.push(states[i]);
+	}
+	
+	// Every state with a transition into a live state is live.
+	while (worklist.length > 0) {
+		next = predecessors[worklist.pop()];
+		
+		for (let i = 0; i < next.length; i++) {
+			if (dead[next[i]]) {
+				dead[next[i]] = false;
+				worklist.push(next[i]);
+			}
+		}
+	}
+	
+	return dead;
+}
+
+/**
+ * Checks whether a state is dead, i.e. no accepting state can be reached from it. The dead states
+ * are found once for the DFA (see DFA.prototype.DeadStates), so this is a lookup.
+ *
+ * @param {int} state The state to check.
+ * @returns {boolean} True if the state is dead.
+ */
+DFA.prototype.IsDeadState = function(state) {
+	if (this.dead == null)
+		this.dead = this.DeadStates();
+	
+	return this.dead[state];
+}
+
+/**
+ * Checks whether the DFA's states accept depending on the next character (see
+ * DFA.prototype.AcceptingTag), as they do if its regex has assertions.
+ *
+ * @returns {boolean} True if the states have lookaheads.
+ */
+DFA.prototype.HasAssertions = function() {
+	return this.transitionTable[this.starts[0]].hasOwnProperty('lookahead');
+}
+
+/**
+ * Creates a minimal DFA that matches the same words as this one (see
+ * SubsetConstruction.prototype.Minimise), e.g. after combining DFAs with DFA.Intersect. The
+ * states must be numbered from 0 with no gaps.
+ *
+ * @returns {DFA} The minimised DFA.
+ */
+DFA.prototype.Minimise = function() {
+	let builder = Object.create(SubsetConstruction.prototype);
+	let symbols = [];
+	
+	builder.dfa = this.Copy();
+	builder.mappings = this.CountStates();
+	builder.StateMapping = this.stateMapping || {};
+	
+	for (let i = 0; i < this.alphabet.count; i++)
+		symbols.push(i);
+	
+	builder.Minimise(symbols);
+	builder.dfa.stateMapping = this.stateMapping ? builder.StateMapping : null;
+	
+	return builder.dfa;
+}
+
+/**
+ * Builds the product of two DFAs, which runs both at once: each of its states is a pair of a state
+ * of each (or -1 once either has no transition), and it accepts where the passed operation of
+ * whether each accepts is true. Only the pairs reachable from the start states are built, and every
+ * state has a transition on every class (so the product is complete).
+ *
+ * Tags are ignored, so a state of a map of rules accepts if it accepts any rule, and the product is
+ * untagged. With assertions, acceptance is combined for each category of next character.
+ *
+ * @param {DFA} a The first DFA.
+ * @param {DFA} b The second DFA.
+ * @param {function} operation Called with (whether a accepts, whether b accepts), returning
+ *        whether the product accepts.
+ * @returns {DFA} The product.
+ * @throws {Error} If the DFAs don't read their input the same way (see DFA.unicode), or don't have
+ *         the same word characters.
+ */
+DFA.Product = function(a, b, operation) {
+	let extraWords = a.unicode && a.ignoreCase;
+	
+	if (a.unicode != b.unicode || extraWords != (b.unicode && b.ignoreCase))
+		throw new Error("DFAs with different unicode or ignoreCase flags can't be combined.");
+	
+	let product = Alphabet.Product(a.alphabet, b.alphabet, extraWords);
+	let assertions = a.HasAssertions() || b.HasAssertions();
+	let dfa = new DFA();
+	let pairs = [];
+	let ids = {};
+	
+	dfa.alphabet = product.alphabet;
+	dfa.unicode = a.unicode;
+	dfa.ignoreCase = a.ignoreCase && b.ignoreCase;
+	
+	// Finds the state of a pair, adding it (to be explored) if it is new.
+	let state = function(p, q) {
+		let key = p + ',' + q;
+		
+		if (!ids.hasOwnProperty(key)) {
+			ids[key] = pairs.length;
+			pairs.push([p, q]);
+		}
+		
+		return ids[key];
+	};
+	
+	let next = function(automaton, p, symbol) {
+		return p != -1 && automaton.transitionTable[p].hasOwnProperty(symbol) ? automaton.transitionTable[p][symbol] : -1;
+	};
+	
+	let accepts = function(automaton, p, category) {
+		return p != -1 && automaton.AcceptingTag(p, category) != -1;
+	};
+	
+	for (let i = 0; i < a.starts.length; i++)
+		dfa.starts[i] = state(a.starts[i], b.starts[i]);
+	
+	// Pairs are added to the end as they are found, so this explores every reachable pair.
+	for (let i = 0; i < pairs.length; i++) {
+		let [p, q] = pairs[i];
+		let row = { start: dfa.starts.includes(i), end: operation(accepts(a, p, Alphabet.BOUNDARY), accepts(b, q, Alphabet.BOUNDARY)) };
+		
+		if (assertions) {
+			row['lookahead'] = [];
+			
+			for (let category = Alphabet.BOUNDARY; category <= Alphabet.OTHER; category++)
+				row['lookahead'].push(operation(accepts(a, p, category), accepts(b, q, category)) ? 0 : -1);
+		}
+		
+		for (let c = 0; c < product.pairs.length; c++)
+			row[c] = state(next(a, p, product.pairs[c][0]), next(b, q, product.pairs[c][1]));
+		
+		dfa.transitionTable[i] = row;
+	}
+	
+	return dfa;
+}
+
+/**
+ * Builds a DFA that matches the words both DFAs match (see DFA.Product).
+ *
+ * @param {DFA} a The first DFA.
+ * @param {DFA} b The second DFA.
+ * @returns {DFA} The intersection.
+ */
+DFA.Intersect = function(a, b) {
+	return DFA.Product(a, b, function(x, y) { return x && y; });
+}
+
+/**
+ * Builds a DFA that matches the words either DFA matches (see DFA.Product).
+ *
+ * @param {DFA} a The first DFA.
+ * @param {DFA} b The second DFA.
+ * @returns {DFA} The union.
+ */
+DFA.Union = function(a, b) {
+	return DFA.Product(a, b, function(x, y) { return x || y; });
+}
+
+/**
+ * Builds a DFA that matches the words the first DFA matches but the second doesn't (see
+ * DFA.Product).
+ *
+ * @param {DFA} a The DFA whose words are kept.
+ * @param {DFA} b The DFA whose words are removed.
+ * @returns {DFA} The difference.
+ */
+DFA.Difference = function(a, b) {
+	return DFA.Product(a, b, function(x, y) { return x && !y; });
+}
+
+/**
+ * Builds a DFA that matches the words this DFA doesn't, made only of characters in the passed set.
+ *
+ * @param {CharSet} [alphabet] The characters the words may contain (default: every character).
+ * @returns {DFA} The complement.
+ */
+DFA.prototype.Complement = function(alphabet) {
+	let set = alphabet || new CharSet([[0, CharSet.MAX]], false);
+	let universal = new DFA();
+	
+	// A DFA matching every word of the set, which has an accepting state and a dead state.
+	universal.alphabet = new Alphabet([set], this.unicode && this.ignoreCase);
+	universal.unicode = this.unicode;
+	universal.ignoreCase = this.ignoreCase;
+	universal.transitionTable[0] = { start: true, end: true };
+	universal.transitionTable[1] = { start: false, end: false };
+	
+	for (let c = 0; c < universal.alphabet.count; c++) {
+		universal.transitionTable[0][c] = set.Contains(universal.alphabet.representatives[c]) ? 0 : 1;
+		universal.transitionTable[1][c] = 1;
+	}
+	
+	return DFA.Difference(universal, this);
+}
+
+/**
+ * Builds a DFA that matches the reverse of each word this DFA matches, by subset construction
+ * over the DFA's transitions followed backwards. Each of its states is a set of this DFA's states,
+ * starting from the accepting states and accepting if it contains the start state.
+ *
+ * With assertions, the category of the character after a word decides where the reversed DFA
+ * starts, and the category of the character before it decides whether it accepts, so the
+ * reversed DFA reading a reversed word sees the same categories this DFA would. Tags are ignored
+ * (as with DFA.Product).
+ *
+ * @returns {DFA} The reversed DFA.
+ */
+DFA.prototype.Reverse = function() {
+	let n = this.CountStates();
+	let assertions = this.HasAssertions();
+	let predecessors = [];
+	let dfa = new DFA();
+	let sets = [];
+	let ids = {};
+	let symbols, starts;
+	
+	dfa.alphabet = this.alphabet;
+	dfa.unicode = this.unicode;
+	dfa.ignoreCase = this.ignoreCase;
+	
+	// The states with a transition into each state, by class.
+	for (let i = 0; i < n; i++) {
+		predecessors[i] = [];
+		
+		for (let c = 0; c < this.alphabet.count; c++)
+			predecessors[i][c] = [];
+	}
+	
+	for (let i = 0; i < n; i++) {
+		symbols = this.Symbols(i);
+		
+		for (let j = 0; j < symbols.length; j++)
+			predecessors[this.transitionTable[i][symbols[j]]][symbols[j]].push(i);
+	}
+	
+	// Finds the state of a set of states, adding it (to be explored) if it is new.
+	let state = function(states) {
+		let key = states.join(',');
+		
+		if (!ids.hasOwnProperty(key)) {
+			ids[key] = sets.length;
+			sets.push(states);
+		}
+		
+		return ids[key];
+	};
+	
+	for (let category = Alphabet.BOUNDARY; category <= Alphabet.OTHER; category++) {
+		starts = [];
+		
+		for (let i = 0; i < n; i++) {
+			if (this.AcceptingTag(i, category) != -1)
+				starts.push(i);
+		}
+		
+		dfa.starts[category] = state(starts);
+	}
+	
+	for (let i = 0; i < sets.length; i++) {
+		let row = { start: dfa.starts.includes(i), end: sets[i].includes(this.starts[Alphabet.BOUNDARY]) };
+		
+		if (assertions) {
+			row['lookahead'] = [];
+			
+			for (let category = Alphabet.BOUNDARY; category <= Alphabet.OTHER; category++)
+				row['lookahead'].push(sets[i].includes(this.starts[category]) ? 0 : -1);
+		}
+		
+		for (let c = 0; c < this.alphabet.count; c++) {
+			let reached = {};
+			
+			for (let j = 0; j < sets[i].length; j++) {
+				for (let k = 0; k < predecessors[sets[i][j]][c].length; k++)
+					reached[predecessors[sets[i][j]][c][k]] = true;
+			}
+			
+			row[c] = state(Object.keys(reached).map(Number).sort(function(a, b) { return a - b; }));
+		}
+		
+		dfa.transitionTable[i] = row;
+	}
+	
+	return dfa;
+}
+
+/**
+ * Finds a shortest word that the DFA matches as a whole (see DFA.prototype.IsValidWord), by a
+ * breadth-first search from the start state. Each character is one that can be shown (see
+ * Alphabet.prototype.Example).
+ *
+ * @returns {string} A shortest matching word, or null if the DFA matches nothing.
+ */
+DFA.prototype.ShortestWord = function() {
+	let start = this.starts[Alphabet.BOUNDARY];
+	let previous = {};
+	let queue = [start];
+	let state, next, word;
+	
+	previous[start] = null;
+	
+	for (let i = 0; i < queue.length; i++) {
+		state = queue[i];
+		
+		// The word is found by following the path back to the start.
+		if (this.AcceptingTag(state, Alphabet.BOUNDARY) != -1) {
+			word = [];
+			
+			for (; previous[state] != null; state = previous[state].state)
+				word.unshift(String.fromCodePoint(this.alphabet.Example(previous[state].symbol)));
+			
+			return word.join('');
+		}
+		
+		for (let c = 0; c < this.alphabet.count; c++) {
+			if (!this.transitionTable[state].hasOwnProperty(c))
+				continue;
+			
+			next = this.transitionTable[state][c];
+			
+			if (!previous.hasOwnProperty(next)) {
+				previous[next] = { state: state, symbol: c };
+				queue.push(next);
+			}
+		}
+	}
+	
+	return null;
+}
+
+/**
+ * Converts the DFA into a regex string matching the same words (see DFA.prototype.IsValidWord), by
+ * state elimination. Each transition is labelled with a regex (a character or class), and every
+ * state but a new start and end state is removed in turn, replacing the paths through it with
+ * transitions labelled with longer regexs, until only the start and end remain. The regexs are
+ * simplified as they are built (see Regex.prototype.Alternation and Regex.prototype.Sequence), so
+ * the paths through each state share their common parts rather than each being written out.
+ *
+ * States with the fewest paths through them are removed first, which keeps the regex short. Only
+ * the states on some path from the start to an accepting state are kept.
+ *
+ * Assertions aren't written, so the regex only matches the same words as a whole. It must be
+ * compiled with the u flag if the DFA reads code points, but doesn't need the i flag, as every case
+ * of each character is written.
+ *
+ * @param {Object} [options] Conversion options:
+ *   - maxLength {int} The longest regex that may be written (default: 100000).
+ * @returns {string} The regex string, which is '[^\\s\\S]' if the DFA matches nothing.
+ * @throws {RegexLimitError} If the regex, or a part of it, would be longer than maxLength.
+ */
+DFA.prototype.ToRegex = function(options) {
+	let self = this;
+	let builder = Object.create(Regex.prototype);
+	let maxLength = options && options.maxLength != undefined ? options.maxLength : 100000;
+	let limit = this.unicode ? CharSet.MAX : 0xFFFF;
+	let n = this.CountStates();
+	let start = n;
+	let end = n + 1;
+	let accepting = [];
+	let predecessors = {};
+	let edges = {};
+	let useful = {};
+	let sets = {};
+	let symbols, next, best, cost, loop, remaining;
+	
+	// The builder needs the flags the regex will be read with.
+	builder.options = Object.assign({}, Regex.DEFAULTS, { unicode: this.unicode });
+	
+	// Finds the states reachable from some states, following the transitions (or their reverse).
+	let reach = function(from, neighbours) {
+		let reached = {};
+		let stack = from.slice();
+		
+		from.forEach(function(state) { reached[state] = true; });
+		
+		while (stack.length > 0) {
+			neighbours(stack.pop()).forEach(function(state) {
+				if (!reached[state]) {
+					reached[state] = true;
+					stack.push(state);
+				}
+			});
+		}
+		
+		return reached;
+	};
+	
+	for (let state = 0; state < n; state++) {
+		predecessors[state] = predecessors[state] || [];
+		symbols = this.Symbols(state);
+		
+		if (this.AcceptingTag(state, Alphabet.BOUNDARY) != -1)
+			accepting.push(state);
+		
+		for (let i = 0; i < symbols.length; i++) {
+			next = this.transitionTable[state][symbols[i]];
+			predecessors[next] = predecessors[next] || [];
+			predecessors[next].push(state);
+		}
+	}
+	
+	// The useful states can be reached from the start, and can reach an accepting state.
+	let forwards = reach([this.starts[Alphabet.BOUNDARY]], function(state) {
+		return self.Symbols(state).map(function(symbol) { return self.transitionTable[state][symbol]; });
+	});
+	let backwards = reach(accepting, function(state) { return predecessors[state]; });
+	
+	for (let state = 0; state < n; state++) {
+		if (forwards[state] && backwards[state])
+			useful[state] = true;
+	}
+	
+	if (!useful[this.starts[Alphabet.BOUNDARY]])
+		return '[^\\s\\S]';
+	
+	// The characters of every transition from each useful state to each other, as ranges.
+	for (let state in useful) {
+		symbols = this.Symbols(state);
+		edges[state] = {};
+		sets[state] = {};
+		
+		for (let i = 0; i < symbols.length; i++) {
+			next = this.transitionTable[state][symbols[i]];
+			
+			if (!useful[next])
+				continue;
+			
+			sets[state][next] = (sets[state][next] || []).concat(this.alphabet.Set(Number(symbols[i])).ranges);
+		}
+		
+		for (let target in sets[state])
+			edges[state][target] = this.RegexOfRanges(sets[state][target], limit);
+	}
+	
+	// The new start and end states are joined to the DFA's by empty transitions.
+	edges[start] = {};
+	edges[start][this.starts[Alphabet.BOUNDARY]] = new builder.Node('Empty', {}, 0);
+	
+	for (let i = 0; i < accepting.length; i++) {
+		if (useful[accepting[i]])
+			edges[accepting[i]][end] = new builder.Node('Empty', {}, 0);
+	}
+	
+	let incoming = function(state) {
+		return Object.keys(edges).filter(function(from) { return from != state && edges[from].hasOwnProperty(state); });
+	};
+	
+	remaining = Object.keys(useful);
+	
+	while (remaining.length > 0) {
+		best = null;
+		
+		// Remove the state with the fewest paths through it first.
+		for (let i = 0; i < remaining.length; i++) {
+			cost = incoming(remaining[i]).length * Object.keys(edges[remaining[i]]).filter(function(to) { return to != remaining[i]; }).length;
+			
+			if (best == null || cost < best.cost)
+				best = { index: i, cost: cost };
+		}
+		
+		let state = remaining.splice(best.index, 1)[0];
+		let from = incoming(state);
+		
+		loop = builder.Star(edges[state].hasOwnProperty(state) ? edges[state][state] : null);
+		
+		for (let i = 0; i < from.length; i++) {
+			for (let to in edges[state]) {
+				if (to == state)
+					continue;
+				
+				let path = builder.Sequence(builder.Sequence(edges[from[i]][state], loop), edges[state][to]);
+				
+				edges[from[i]][to] = builder.Alternation(edges[from[i]].hasOwnProperty(to) ? edges[from[i]][to] : null, path);
+				
+				if (builder.ToSource(edges[from[i]][to]).length > maxLength)
+					throw new RegexLimitError('REGEX_TOO_LONG', "The regex would be longer than " + maxLength + " characters.", maxLength);
+			}
+			
+			delete edges[from[i]][state];
+		}
+		
+		delete edges[state];
+	}
+	
+	// Repetitions are only joined once every path is built, as until then a path like aa has to
+	// keep its first a to share it with a path like ab (see Regex.prototype.Simplify).
+	return builder.ToSource(builder.Simplify(edges[start][end]));
+}
+
+/**
+ * Builds the parse tree of a transition's characters: a single character, or a class.
+ *
+ * @param {Array<Array<int>>} ranges The [from, to] ranges of the characters.
+ * @param {int} limit The last character the DFA can read (0xFFFF without unicode, whose larger
+ *        characters are left out, so that they aren't written).
+ * @returns {Node} The tree.
+ */
+DFA.prototype.RegexOfRanges = function(ranges, limit) {
+	let set = new CharSet(ranges, false);
+	let clipped = [];
+	
+	for (let i = 0; i < set.ranges.length && set.ranges[i][0] <= limit; i++)
+		clipped.push([set.ranges[i][0], Math.min(set.ranges[i][1], limit)]);
+	
+	// A set of every character the DFA reads is still every character, and so written as such.
+	if (clipped.length > 0 && clipped[0][0] == 0 && clipped[clipped.length - 1][1] == limit)
+		clipped[clipped.length - 1][1] = CharSet.MAX;
+	
+	if (clipped.length == 1 && clipped[0][0] == clipped[0][1])
+		return new Regex.prototype.Node('Char', { value: String.fromCodePoint(clipped[0][0]) }, 0);
+	
+	return new Regex.prototype.Node('Class', { set: new CharSet(clipped, false) }, 0);
+}
+
+/**
+ * Writes the DFA as a Graphviz DOT state diagram.
+ *
+ * @param {Object} [options] Diagram options (see DFA.prototype.Diagram).
+ * @returns {string} The diagram, in DOT.
+ */
+DFA.prototype.ToDot = function(options) {
+	return this.Diagram(options).ToDot();
+}
+
+/**
+ * Writes the DFA as a Mermaid state diagram (a flowchart).
+ *
+ * @param {Object} [options] Diagram options (see DFA.prototype.Diagram).
+ * @returns {string} The diagram, in Mermaid.
+ */
+DFA.prototype.ToMermaid = function(options) {
+	return this.Diagram(options).ToMermaid();
+}
+
+/**
+ * Builds a state diagram of the DFA. The transitions on each class between two states are merged
+ * into a single edge, labelled with every character of those classes. If the start state depends
+ * on the character before the start (with assertions), each start is labelled with what comes
+ * before it.
+ *
+ * @param {Object} [options] Diagram options:
+ *   - nfaStates {boolean} Whether to label each state with the NFA states it represents (see
+ *     SubsetConstruction.StateMapping), if they are known (default: false).
+ * @returns {Diagram} The diagram.
+ */
+DFA.prototype.Diagram = function(options) {
+	let contexts = ['input start', 'line terminator', 'word', 'other'];
+	let states = [];
+	let starts = [];
+	let edges = [];
+	
+	for (let state in this.transitionTable) {
+		let row = this.transitionTable[state];
+		let label = state;
+		
+		if (row.hasOwnProperty('tag'))
+			label += '\ntag ' + row['tag'];
+		
+		if (options && options.nfaStates && this.stateMapping && this.stateMapping[state])
+			label += '\n{' + this.stateMapping[state].slice().sort(function(a, b) { return a - b; }).join(',') + '}';
+		
+		states.push({ id: +state, label: label, accepting: this.IsAccepting(state), dead: this.IsDeadState(state) });
+		
+		// Group the classes by the state they go to.
+		let targets = {};
+		let order = [];
+		let symbols = this.Symbols(state);
+		
+		for (let i = 0; i < symbols.length; i++) {
+			let next = row[symbols[i]];
+			
+			if (!targets.hasOwnProperty(next)) {
+				targets[next] = [];
+				order.push(next);
+			}
+			
+			targets[next] = targets[next].concat(this.alphabet.Set(+symbols[i]).ranges);
+		}
+		
+		for (let i = 0; i < order.length; i++)
+			edges.push({ from: +state, to: order[i], label: new CharSet(targets[order[i]], false).ToLabel() });
+	}
+	
+	// Every start is the same without assertions, so it needs no label.
+	for (let i = 0; i < this.starts.length; i++) {
+		if (this.starts.indexOf(this.starts[i]) != i)
+			continue;
+		
+		let label = [];
+		
+		for (let j = 0; j < this.starts.length; j++) {
+			if (this.starts[j] == this.starts[i])
+				label.push(contexts[j]);
+		}
+		
+		starts.push({ state: this.starts[i], label: label.length == this.starts.length ? '' : 'after ' + label.join(' or ') });
+	}
+	
+	return new Diagram('DFA', states, starts, edges);
+}
+
+
+
+/**
+ * A state diagram of an NFA or DFA, which can be written in Graphviz DOT or Mermaid. Labels may
+ * contain '\n' for a line break.
+ *
+ * @param {string} name The name of the diagram.
+ * @param {Array<Object>} states The states, as { id, label, accepting, dead } objects.
+ * @param {Array<Object>} starts The start states, as { state, label } objects, where label
+ *        describes when the state is the start (or is empty).
+ * @param {Array<Object>} edges The edges, as { from, to, label } objects.
+ */
+function Diagram(name, states, starts, edges) {
+	this.name = name;
+	this.states = states;
+	this.starts = starts;
+	this.edges = edges;
+}
+
+/**
+ * Writes the diagram in Graphviz DOT. Accepting states have a double circle, and dead states are
+ * dashed and grey.
+ *
+ * @returns {string} The diagram.
+ */
+Diagram.prototype.ToDot = function() {
+	let quote = function(label) {
+		return '"' + label.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+	};
+	let str = 'digraph ' + this.name + ' {\n\trankdir=LR;\n\tnode [shape=circle];\n';
+	
+	// Each start is an arrow from an invisible point.
+	for (let i = 0; i < this.starts.length; i++) {
+		str += '\tstart' + i + ' [shape=point];\n';
+		str += '\tstart' + i + ' -> ' + this.starts[i].state;
+		str += (this.starts[i].label ? ' [label=' + quote(this.starts[i].label) + ']' : '') + ';\n';
+	}
+	
+	for (let i = 0; i < this.states.length; i++) {
+		let state = this.states[i];
+		
+		str += '\t' + state.id + ' [label=' + quote(state.label);
+		
+		if (state.accepting)
+			str += ', shape=doublecircle';
+		
+		if (state.dead)
+			str += ', style=dashed, color=gray';
+		
+		str += '];\n';
+	}
+	
+	for (let i = 0; i < this.edges.length; i++)
+		str += '\t' + this.edges[i].from + ' -> ' + this.edges[i].to + ' [label=' + quote(this.edges[i].label) + '];\n';
+	
+	return str + '}\n';
+}
+
+/**
+ * Writes the diagram as a Mermaid flowchart. Accepting states have a double circle, and dead states
+ * are dashed.
+ *
+ * @returns {string} The diagram.
+ */
+Diagram.prototype.ToMermaid = function() {
+	let quote = function(label) {
+		return '"' + label.replace(/"/g, '#quot;').replace(/\n/g, '<br/>') + '"';
+	};
+	let str = 'flowchart LR\n';
+	
+	// Each start is an arrow from an invisible node.
+	for (let i = 0; i < this.starts.length; i++) {
+		str += '\tstart' + i + '[" "] -->' + (this.starts[i].label ? '|' + quote(this.starts[i].label) + '|' : '');
+		str += ' s' + this.starts[i].state + '\n';
+		str += '\tstyle start' + i + ' fill:none,stroke:none\n';
+	}
+	
+	for (let i = 0; i < this.states.length; i++) {
+		let state = this.states[i];
+		
+		if (state.accepting)
+			str += '\ts' + state.id + '(((' + quote(state.label) + ')))\n';
+		else
+			str += '\ts' + state.id + '((' + quote(state.label) + '))\n';
+		
+		if (state.dead)
+			str += '\tstyle s' + state.id + ' stroke-dasharray: 5 5\n';
+	}
+	
+	for (let i = 0; i < this.edges.length; i++)
+		str += '\ts' + this.edges[i].from + ' -->|' + quote(this.edges[i].label) + '| s' + this.edges[i].to + '\n';
+	
+	return str;
+}
+
+
+
+/**
+ * Builds a DFA from the passed NFA via subset construction, and optionally minimises it.
+ *
+ * If the NFA has assertions, each DFA state also remembers the category of the previous character
+ * (its context). An assertion is only crossed once the next character is known, so a state's NFA
+ * states are those reached before any assertions after the last character read, and whether it
+ * accepts depends on the next character (see DFA.AcceptingTag).
+ *
+ * @param {NFA} nfa The NFA to convert.
+ * @param {Object} [options] Construction options:
+ *   - minimise {boolean} Whether to minimise the DFA (default: true).
+ *   - maxDFAStates {int} The most states the DFA may have before minimisation (default: no limit).
+ *   - unicode {boolean} Whether the DFA reads its input a code point at a time (default: false).
+ *   - ignoreCase {boolean} Whether the regex ignores case, which with unicode makes ſ and the Kelvin
+ *     sign word characters (default: false).
+ *   - onStage {Function} Called with { stage: 'dfa', value, time } once the DFA is built (with a
+ *     copy of the DFA before minimisation), and then with { stage: 'minimised', value, time } once
+ *     it is minimised (see Regex.prototype.Report).
+ *   - allTags {boolean} Whether each state also records every tag it accepts with, by category of
+ *     the next character, as 'tags' (default: false, see Regex.prototype.Diagnose). Minimisation
+ *     doesn't keep them.
+ * @returns {DFA} The constructed DFA.
+ * @throws {RegexLimitError} If the DFA would have more than maxDFAStates states.
+ */
+function SubsetConstruction(nfa, options) {
+	this.StateMapping = {};
+	this.dfa = new DFA();
+	
+	// The category of the previous character of each state (always 0 without assertions).
+	this.contexts = {};
+	this.assertions = nfa.HasAssertions();
+	
+	// The state of each (NFA states, context) pair, by its key (see SubsetConstruction.Key).
+	this.keys = {};
+	
+	// The empty closure of each NFA state, found the first time it is needed (see Closure).
+	this.closures = {};
+	
+	// The last closure each NFA state was reached in, so that a state is only added to a closure
+	// once without a new object for each closure.
+	this.reached = new Int32Array(nfa.end + 1);
+	this.closureCount = 0;
+	
+	this.mappings = 0;
+	this.maxStates = options && options.maxDFAStates != undefined ? options.maxDFAStates : Infinity;
+	this.dfa.unicode = !!(options && options.unicode);
+	this.dfa.ignoreCase = !!(options && options.ignoreCase);
+	
+	let started = Regex.Now();
+	
+	this.Build(nfa);
+	
+	for (let i = 0; i < this.mappings; i++) {
+		let tag = this.AcceptingTag(nfa, i, Alphabet.BOUNDARY);
+		
+		if (this.dfa.starts.includes(i))
+			this.dfa.transitionTable[i]['start'] = true;
+		else
+			this.dfa.transitionTable[i]['start'] = false;
+		
+		if (tag != -1)
+			this.dfa.transitionTable[i]['end'] = true;
+		else
+			this.dfa.transitionTable[i]['end'] = false;
+		
+		// A tagged NFA's accepting states also record which rule they accept.
+		if (nfa.tags != null && tag != -1)
+			this.dfa.transitionTable[i]['tag'] = tag;
+		
+		// For diagnostics, the state can also record every rule it accepts, by category of the next
+		// character.
+		if (options && options.allTags) {
+			this.dfa.transitionTable[i]['tags'] = [];
+			
+			for (let next = Alphabet.BOUNDARY; next <= Alphabet.OTHER; next++)
+				this.dfa.transitionTable[i]['tags'].push(this.AcceptingTags(nfa, i, next));
+		}
+		
+		// With assertions, whether the state accepts also depends on the next character.
+		if (this.assertions) {
+			this.dfa.transitionTable[i]['lookahead'] = [];
+			
+			for (let next = Alphabet.BOUNDARY; next <= Alphabet.OTHER; next++)
+				this.dfa.transitionTable[i]['lookahead'].push(this.AcceptingTag(nfa, i, next));
+		}
+	}
+	
+	this.AddDeadState(this.symbols);
+	this.SimplifyDeadStates();
+	
+	this.dfa.stateMapping = this.StateMapping;
+	
+	// Minimisation replaces the transition table, so the DFA as it was is reported as a copy (which
+	// isn't part of the time taken).
+	if (options && options.onStage) {
+		let time = Regex.Now() - started;
+		options.onStage({ stage: 'dfa', value: this.dfa.Copy(), time: time });
+	}
+	
+	if (!options || options.minimise !== false) {
+		started = Regex.Now();
+		this.Minimise(this.symbols);
+		this.dfa.stateMapping = this.StateMapping;
+		
+		if (options && options.onStage)
+			options.onStage({ stage: 'minimised', value: this.dfa, time: Regex.Now() - started });
+	}
+	
+	return this.dfa;
+}
+
+/**
+ * Finds the tag a DFA state accepts with, before a character of the passed category.
+ *
+ * @param {NFA} nfa The NFA being converted.
+ * @param {int} state The DFA state.
+ * @param {int} next The category of the next character (see Alphabet.BOUNDARY).
+ * @returns {int} The tag accepted, or -1 if the state doesn't accept.
+ */
+SubsetConstruction.prototype.AcceptingTag = function(nfa, state, next) {
+	let states = this.StateMapping[state];
+	
+	if (this.assertions)
+		states = nfa.AssertionClosure(states, this.contexts[state], next);
+	
+	return nfa.AcceptingTag(states);
+}
+
+/**
+ * Finds every tag a DFA state accepts with, before a character of the passed category.
+ *
+ * @param {NFA} nfa The NFA being converted.
+ * @param {int} state The DFA state.
+ * @param {int} next The category of the next character (see Alphabet.BOUNDARY).
+ * @returns {Array<int>} The sorted tags accepted.
+ */
+SubsetConstruction.prototype.AcceptingTags = function(nfa, state, next) {
+	let states = this.StateMapping[state];
+	
+	if (this.assertions)
+		states = nfa.AssertionClosure(states, this.contexts[state], next);
+	
+	return nfa.AcceptingTags(states);
+}
+
+/**
+ * Finds the key of a DFA state, which identifies it by its NFA states and context.
+ *
+ * @param {Array<int>} nfaStates The sorted NFA states.
+ * @param {int} context The category of the previous character (0 without assertions).
+ * @returns {string} The key.
+ */
+SubsetConstruction.prototype.Key = function(nfaStates, context) {
+	return context + ':' + nfaStates.join(',');
+}
+
+/**
+ * Finds the DFA state of a set of NFA states in a context, adding a new state if there isn't one.
+ *
+ * @param {Array<int>} nfaStates The sorted NFA states (see Closure).
+ * @param {int} context The category of the previous character (0 without assertions).
+ * @returns {int} The DFA state.
+ * @throws {RegexLimitError} If a new state would make more than maxDFAStates states.
+ */
+SubsetConstruction.prototype.GetMapping = function(nfaStates, context) {
+	let key = this.Key(nfaStates, context);
+	
+	// Return a pre-exisiting mapping, if one exists.
+	if (this.keys.hasOwnProperty(key))
+		return this.keys[key];
+	
+	if (this.mappings >= this.maxStates)
+		throw new RegexLimitError('DFA_TOO_LARGE', "The DFA would have more than " + this.maxStates + " states.", this.maxStates);
+	
+	// Add a new mapping if no existing mapping exists.
+	this.StateMapping[this.mappings] = nfaStates;
+	this.contexts[this.mappings] = context;
+	this.keys[key] = this.mappings;
+	this.dfa.transitionTable[this.mappings] = {};
+	this.mappings += 1;
+	
+	// Return the newly created mapping.
+	return this.mappings - 1;
+}
+
+/**
+ * Checks whether a set of NFA states in a context already has a DFA state.
+ *
+ * @param {Array<int>} nfaStates The sorted NFA states (see Closure).
+ * @param {int} context The category of the previous character (0 without assertions).
+ * @returns {boolean} Whether there is a DFA state.
+ */
+SubsetConstruction.prototype.HasMapping = function(nfaStates, context) {
+	return this.keys.hasOwnProperty(this.Key(nfaStates, context));
+}
+
+/**
+ * Finds every NFA state reachable from the passed states by empty transitions, as a sorted array
+ * (so that the same set always has the same key). The closure of each NFA state is only found
+ * once, and a state that has already been reached is skipped, as its closure has been too.
+ *
+ * @param {NFA} nfa The NFA being converted.
+ * @param {Array<int>} states The NFA states to start from.
+ * @returns {Array<int>} The sorted reachable states.
+ */
+SubsetConstruction.prototype.Closure = function(nfa, states) {
+	let reachable = [];
+	let reached = this.reached;
+	let id = ++this.closureCount;
+	let closure;
+	
+	for (let i = 0; i < states.length; i++) {
+		if (reached[states[i]] == id)
+			continue;
+		
+		if (!this.closures.hasOwnProperty(states[i]))
+			this.closures[states[i]] = nfa.eClosure([states[i]]);
+		
+		closure = this.closures[states[i]];
+		
+		for (let j = 0; j < closure.length; j++) {
+			if (reached[closure[j]] != id) {
+				reached[closure[j]] = id;
+				reachable.push(closure[j]);
+			}
+		}
+	}
+	
+	return reachable.sort(function(a, b) { return a - b; });
+}
+
+SubsetConstruction.prototype.Build = function(nfa) {
+	// Get all starting states via eClosure of state 0.
+	let startStates = this.Closure(nfa, [0]);
+	let contexts = this.assertions ? [Alphabet.BOUNDARY, Alphabet.LINE, Alphabet.WORD, Alphabet.OTHER] : [0];
+	let exists;
+	
+	this.symbols = this.Alphabet(nfa);
+	
+	// With assertions, there is a start state for each category of character before the start.
+	for (let i = 0; i < contexts.length; i++) {
+		exists = this.HasMapping(startStates, contexts[i]);
+		this.dfa.starts[i] = this.GetMapping(startStates, contexts[i]);
+		
+		if (!exists)
+			this.Explore(nfa, this.dfa.starts[i], this.symbols);
+	}
+	
+	// Otherwise, every category starts in the same state.
+	for (let i = contexts.length; i < this.dfa.starts.length; i++)
+		this.dfa.starts[i] = this.dfa.starts[0];
+}
+
+/**
+ * Splits the characters read by the NFA's transitions into classes, each of which becomes a symbol
+ * of the DFA.
+ *
+ * @param {NFA} nfa The NFA to find the alphabet of.
+ * @returns {Array<int>} The symbols (classes) of the DFA.
+ */
+SubsetConstruction.prototype.Alphabet = function(nfa) {
+	let symbols = [];
+	
+	this.dfa.alphabet = Alphabet.FromNFA(nfa, this.dfa.unicode && this.dfa.ignoreCase);
+	
+	for (let i = 0; i < this.dfa.alphabet.count; i++)
+		symbols.push(i);
+	
+	return symbols;
+}
+
+/**
+ * Adds every DFA state reachable from the passed (new) state, along with their transitions. States
+ * are explored depth-first, with a stack of the states being explored and the next symbol to
+ * follow from each, rather than by recursion, so that large DFAs can't overflow the call stack.
+ *
+ * @param {NFA} nfa The NFA being converted.
+ * @param {int} start The DFA state to explore from.
+ * @param {Array<int>} symbols The symbols of the DFA.
+ */
+SubsetConstruction.prototype.Explore = function(nfa, start, symbols) {
+	let stack = [{ state: start, next: 0 }];
+	let top, symbol, next, exists, mapping;
+	
+	while (stack.length > 0) {
+		top = stack[stack.length - 1];
+		
+		if (top.next == symbols.length) {
+			stack.pop();
+			continue;
+		}
+		
+		symbol = symbols[top.next];
+		top.next += 1;
+		
+		next = this.Step(nfa, this.dfa.alphabet, this.StateMapping[top.state], this.contexts[top.state], symbol);
+		exists = this.HasMapping(next.states, next.context);
+		mapping = this.GetMapping(next.states, next.context);
+		this.dfa.transitionTable[top.state][symbol] = mapping;
+		
+		// A new state is explored before the rest of this state's symbols.
+		if (next.states.length > 0 && !exists)
+			stack.push({ state: mapping, next: 0 });
+	}
+}
+
+/**
+ * Finds the NFA states and context reached from a DFA state by reading a character of a class.
+ *
+ * @param {NFA} nfa The NFA being converted.
+ * @param {Alphabet} alphabet The alphabet of the DFA.
+ * @param {Array<int>} states The sorted NFA states of the DFA state.
+ * @param {int} context The context of the DFA state.
+ * @param {int} symbol The class of the character read.
+ * @returns {Object} An object { states, context }, where states are the sorted NFA states reached
+ *          (empty if there are none), and context is the context of the state reached.
+ */
+SubsetConstruction.prototype.Step = function(nfa, alphabet, states, context, symbol) {
+	let category = alphabet.categories[symbol];
+	let from = states;
+	
+	// Now that the next character is known, cross any assertions that hold before it.
+	if (this.assertions)
+		from = nfa.AssertionClosure(from, context, category);
+	
+	// Any character of the class behaves the same, so move on its first character.
+	let reached = this.Closure(nfa, nfa.Move(from, alphabet.representatives[symbol]));
+	
+	// The character read becomes the context of the next state (unless nothing can follow it).
+	return { states: reached, context: this.assertions && reached.length > 0 ? category : 0 };
+}
+
+SubsetConstruction.prototype.AddDeadState = function(symbols) {
+	for (let i = 0; i < this.mappings; i++) {
+		for (let j = 0; j < symbols.length; j++) {
+			if (symbols[j] != null && !this.dfa.transitionTable[i].hasOwnProperty(symbols[j])) {
+				if (!this.dfa.transitionTable.hasOwnProperty(this.mappings)) {
+					this.dfa.transitionTable[this.mappings] = { start: false, end: false };
+					
+					if (this.assertions)
+						this.dfa.transitionTable[this.mappings]['lookahead'] = [-1, -1, -1, -1];
+				}
+				
+				this.dfa.transitionTable[i][symbols[j]] = this.mappings;
+			}
+		}
+	}
+	
+	if (this.dfa.transitionTable.hasOwnProperty(this.mappings))
+		this.mappings += 1;
+}
+
+/**
+ * Finds the dead states of the DFA under construction (see DFA.prototype.DeadStates).
+ *
+ * @returns {Array<boolean>} Whether each state is dead.
+ */
+SubsetConstruction.prototype.DeadStates = function() {
+	return this.dfa.DeadStates();
+}
+
+/**
+ * Merges every dead state into the last state (the dead state added by AddDeadState).
+ */
+SubsetConstruction.prototype.SimplifyDeadStates = function() {
+	let dead = this.DeadStates();
+	
+	// Removing a state renumbers the states after it, so they are removed from the last.
+	for (let i = this.mappings - 2; i >= 0; i--) {
+		if (dead[i])
+			this.RemoveState(i, this.mappings - 1);
+	}
+}
+
+SubsetConstruction.prototype.RemoveState = function(state, newState) {
+	// For every state i where i > state to remove, assign object at i to i-1.
+	// Remove the last object and decrement mappings.
+	for (let i = 0; i < this.mappings; i++) {
+		let symbols = this.dfa.Symbols(state);
+		
+		for (let j = 0; j < symbols.length; j++) {
+			if (this.dfa.transitionTable[i][symbols[j]] == state)
+				this.dfa.transitionTable[i][symbols[j]] = newState;
+			
+			if (this.dfa.transitionTable[i][symbols[j]] > state)
+				this.dfa.transitionTable[i][symbols[j]] -= 1;
+		}
+		
+		if (i > state) {
+			this.dfa.transitionTable[i - 1] = this.dfa.transitionTable[i];
+			this.StateMapping[i - 1] = this.StateMapping[i];
+			this.contexts[i - 1] = this.contexts[i];
+		}
+	}
+	
+	// The start states are redirected and shifted in the same way.
+	for (let i = 0; i < this.dfa.starts.length; i++) {
+		if (this.dfa.starts[i] == state)
+			this.dfa.starts[i] = newState;
+		
+		if (this.dfa.starts[i] > state)
+			this.dfa.starts[i] -= 1;
+	}
+	
+	delete this.dfa.transitionTable[this.mappings - 1];
+	delete this.StateMapping[this.mappings - 1];
+	delete this.contexts[this.mappings - 1];
+	this.mappings -= 1;
+}
+
+/**
+ * Minimises the DFA using Hopcroft's partition refinement algorithm. States start out split into
+ * blocks of non-accepting states and accepting states (per tag, or per lookahead with assertions),
+ * and a block is split whenever some symbol takes part of it into a splitter block and the rest
+ * elsewhere. Once no block can be split, each block becomes a single state. States are renumbered
+ * densely in breadth-first order from the start states, so the start state (before the start of
+ * the input) is 0.
+ *
+ * @param {Array<string>} values The symbols of the DFA.
+ */
+SubsetConstruction.prototype.Minimise = function(values) {
+	let table = this.dfa.transitionTable;
+	let n = this.mappings;
+	let symbols = [];
+	let inverse = [];
+	let blocks = [];
+	let block = [];
+	let worklist = [];
+	let inWorklist = [];
+	let position = [];
+	let state, target, last;
+	
+	// Populate the array of symbols with all symbols excluding null (empty).
+	for (let i = 0; i < values.length; i++) {
+		if (values[i] != null)
+			symbols.push(values[i]);
+	}
 	
-	// Add all states reachable, and the eClosure of all those states.
-	for (let i = 0; i < startStates.length; i++) {
-		state = startStates[i];
+	// For every symbol, find the states that transition into each state.
+	for (let c = 0; c < symbols.length; c++) {
+		inverse[c] = [];
 		
-		// Add the current state to reachable states.
-		reachable.push(state);
+		for (let i = 0; i < n; i++)
+			inverse[c][i] = [];
 		
-		// If the state doesn't exist, ignore it.
-		if (!this.transitionTable.hasOwnProperty(state))
-			continue;
-		
-		// If the state has no eClosure, ignore it.
-		if (!this.transitionTable[state].hasOwnProperty(null))
-			continue;
+		for (let i = 0; i < n; i++) {
+			if (table[i].hasOwnProperty(symbols[c]))
+				inverse[c][table[i][symbols[c]]].push(i);
+		}
+	}
+	
+	// Initially partition the states into non-accepting and accepting blocks (one for each tag).
+	let initial = {};
+	
+	for (let i = 0; i < n; i++) {
+		let key = table[i]['end'] ? 'end' + table[i]['tag'] : '';
 		
-		// Get all states immediately reachable by eClosure.
-		r0 = this.transitionTable[state][null];
+		if (table[i].hasOwnProperty('lookahead'))
+			key = table[i]['lookahead'].join();
 		
-		// Recursively call eClosure for all immediately reachable states.
-		r1 = this.eClosure(r0);
-			
-		for (let j = 0; j < r0.length; j++) {
-			// Add all immediately reachable states.
-			if (!reachable.includes(r0[j])) {
-				reachable.push(r0[j]);
-			}
-		}
-			
-		for (let j = 0; j < r1.length; j++) {
-			// Add all non-immediately reachable states.
-			if (!reachable.includes(r1[j])) {
-				reachable.push(r1[j]);
-			}
+		if (!initial.hasOwnProperty(key)) {
+			initial[key] = blocks.length;
+			blocks.push([]);
 		}
+		
+		block[i] = initial[key];
+		position[i] = blocks[initial[key]].length;
+		blocks[initial[key]].push(i);
 	}
 	
-	// Return all reachable states.
-	return reachable;
-}
-
-NFA.prototype.Move = function(startStates, symbol) {
-	let reachable = [];
-	let resultantStates;
-	let state;
+	// Every initial block starts out as a splitter.
+	for (let i = 0; i < blocks.length; i++) {
+		worklist.push(i);
+		inWorklist[i] = true;
+	}
 	
-	// Add all states reachable, after symbol 'symbol' has been input.
-	for (let i = 0; i < startStates.length; i++) {
-		state = startStates[i];
-
-		// If there is a transition from this state given the symbol, add all resultant states to reachable.
-		if (this.transitionTable.hasOwnProperty(state) && this.transitionTable[state].hasOwnProperty(symbol)) {
-			resultantStates = this.transitionTable[state][symbol];
+	while (worklist.length > 0) {
+		let a = worklist.pop();
+		let splitter = blocks[a].slice();
+		inWorklist[a] = false;
+		
+		for (let c = 0; c < symbols.length; c++) {
+			let marked = {};
+			let touched = [];
+			let members = {};
 			
-			for (let j = 0; j < resultantStates.length; j++) {
-				reachable.push(resultantStates[j]);
+			// Find (and group by block) every state with a transition on c into the splitter.
+			for (let i = 0; i < splitter.length; i++) {
+				let predecessors = inverse[c][splitter[i]];
+				
+				for (let j = 0; j < predecessors.length; j++) {
+					state = predecessors[j];
+					
+					if (marked[state])
+						continue;
+					
+					marked[state] = true;
+					
+					if (!members.hasOwnProperty(block[state])) {
+						members[block[state]] = [];
+						touched.push(block[state]);
+					}
+					
+					members[block[state]].push(state);
+				}
+			}
+			
+			// Split every block that is only partially taken into the splitter.
+			for (let i = 0; i < touched.length; i++) {
+				let b = touched[i];
+				
+				if (members[b].length == blocks[b].length)
+					continue;
+				
+				let split = blocks.length;
+				
+				blocks[split] = [];
+				
+				// Move each marked state into the new block, filling its place with the block's
+				// last state, so that splitting takes time in the number of marked states only.
+				for (let j = 0; j < members[b].length; j++) {
+					state = members[b][j];
+					last = blocks[b].pop();
+					
+					if (last != state) {
+						blocks[b][position[state]] = last;
+						position[last] = position[state];
+					}
+					
+					position[state] = blocks[split].length;
+					blocks[split].push(state);
+					block[state] = split;
+				}
+				
+				// If the block was waiting to be a splitter, both halves must be. Otherwise, only
+				// the smaller half needs to be.
+				if (inWorklist[b] || blocks[split].length <= blocks[b].length) {
+					worklist.push(split);
+					inWorklist[split] = true;
+				} else {
+					worklist.push(b);
+					inWorklist[b] = true;
+				}
 			}
 		}
 	}
 	
-	// Return all reachable states.
-	return reachable;
-}
-
-
-
-
-function DFA() {
-	this.transitionTable = {};
-}
-
-
-DFA.prototype.IsValidWord = function(word) {
-	let state = 0;
+	// Renumber the blocks in breadth-first order from the blocks containing the start states.
+	let renumbered = {};
+	let order = [];
+	let starts = this.dfa.starts;
 	
-	for (let i = 0; i < word.length; i++) {
-		if (!this.transitionTable.hasOwnProperty(state) || !this.transitionTable[state].hasOwnProperty(word[i]))
-			return false;
-		
-		state = this.transitionTable[state][word[i]];
+	for (let i = 0; i < starts.length; i++) {
+		if (!renumbered.hasOwnProperty(block[starts[i]])) {
+			renumbered[block[starts[i]]] = order.length;
+			order.push(block[starts[i]]);
+		}
 	}
 	
-	if (this.transitionTable[state]['end'])
-		return true;
-	
-	return false;
-}
-
-DFA.prototype.FindAll = function(word) {
-	let state = 0;
-	let valid = [];
-	let w, x;
-	
-	for (let i = 0; i < word.length; i++) {
-		x = this.ValidWordLength(word, i);
+	for (let i = 0; i < order.length; i++) {
+		state = blocks[order[i]][0];
 		
-		if (x != -1) {
-			w = '';
-			
-			for (let j = i; j <= x; j++) {
-				w += word[j];
-			}
+		for (let c = 0; c < symbols.length; c++) {
+			if (!table[state].hasOwnProperty(symbols[c]))
+				continue;
 			
-			i = x;
+			target = block[table[state][symbols[c]]];
 			
-			if (!valid.includes(w))
-				valid.push(w);
+			if (!renumbered.hasOwnProperty(target)) {
+				renumbered[target] = order.length;
+				order.push(target);
+			}
 		}
 	}
-
-	return valid;
-}
-
-DFA.prototype.ValidWordLength = function(word, start) {
-	let state = 0;
-	let lastValid = -1;
 	
-	for (let i = start; i < word.length; i++) {
+	// Build the minimised transition table, and merge the NFA states each new state represents.
+	let newTable = {};
+	let newMapping = {};
+	
+	this.dfa.starts = starts.map(function(start) { return renumbered[block[start]]; });
+	
+	for (let i = 0; i < order.length; i++) {
+		let states = blocks[order[i]];
+		let merged = new Set();
+		state = states[0];
 		
-		if (!this.transitionTable.hasOwnProperty(state) || !this.transitionTable[state].hasOwnProperty(word[i])) {
-			return lastValid;
-		}
+		newTable[i] = { start: this.dfa.starts.includes(i), end: table[state]['end'] };
+		
+		if (table[state].hasOwnProperty('tag'))
+			newTable[i]['tag'] = table[state]['tag'];
+		
+		if (table[state].hasOwnProperty('lookahead'))
+			newTable[i]['lookahead'] = table[state]['lookahead'];
 		
-		else if (this.IsDeadState(this.transitionTable[state][word[i]])) {
-			return lastValid;
+		for (let c = 0; c < symbols.length; c++) {
+			if (table[state].hasOwnProperty(symbols[c]))
+				newTable[i][symbols[c]] = renumbered[block[table[state][symbols[c]]]];
 		}
+		
+		for (let j = 0; j < states.length; j++) {
+			let nfaStates = this.StateMapping[states[j]] || [];
 			
-		state = this.transitionTable[state][word[i]];
+			for (let k = 0; k < nfaStates.length; k++)
+				merged.add(nfaStates[k]);
+		}
 		
-		if (this.transitionTable[state]['end'])
-			lastValid = i;
+		newMapping[i] = Array.from(merged).sort(function(a, b) { return a - b; });
 	}
 	
-	return lastValid;
+	this.dfa.transitionTable = newTable;
+	this.StateMapping = newMapping;
+	this.mappings = order.length;
 }
 
-DFA.prototype.IsDeadState = function(state) {
-	return this.IsDeadStateRecursive(state, []);
-}
 
-DFA.prototype.IsDeadStateRecursive = function(state, checked) {
-	let symbols = Object.keys(this.transitionTable[state]);
-	
-	// False if end.
-	if (this.transitionTable[state]['end'])
-		return false;
+
+/**
+ * Matches input against an NFA by building the states of its DFA lazily, only as the input reaches
+ * them. States are cached (along with their transitions once followed), and once the cache holds
+ * maxCachedStates states it is emptied and starts again. However large the full DFA would be, each
+ * character read then takes at most one step of subset construction, and memory stays bounded.
+ *
+ * The methods for matching are the same as DFA's, but a lazy DFA can't be saved (as JSON or a
+ * scanner) or drawn, as its states aren't all known.
+ *
+ * @param {NFA} nfa The NFA to match against.
+ * @param {Object} [options] Matching options:
+ *   - maxCachedStates {int} The most states to cache before emptying the cache (default: 1000).
+ *   - unicode {boolean} Whether input is read a code point at a time (default: false).
+ *   - ignoreCase {boolean} Whether the regex ignores case, which with unicode makes ſ and the Kelvin
+ *     sign word characters (default: false).
+ */
+function LazyDFA(nfa, options) {
+	this.nfa = nfa;
+	this.assertions = nfa.HasAssertions();
+	this.unicode = !!(options && options.unicode);
+	this.ignoreCase = !!(options && options.ignoreCase);
+	this.alphabet = Alphabet.FromNFA(nfa, this.unicode && this.ignoreCase);
+	this.maxStates = Math.max(1, options && options.maxCachedStates != undefined ? options.maxCachedStates : 1000);
 	
-	// True if dead state or cyclic (so we don't re-check it).
-	if (symbols.length == 2 || checked.includes(state))
-		return true;
+	// The cached states by key (see SubsetConstruction.Key), and how many there are.
+	this.cache = {};
+	this.cached = 0;
 	
-	checked.push(state);
+	// The start state by category of the previous character, once it has been needed.
+	this.starts = [];
 	
-	// Search all branches for at least one end or all dead.
-	for (let i = 0; i < symbols.length; i++) {
-		if (symbols[i] != 'start' && symbols[i] != 'end') {
-			if (!this.IsDeadStateRecursive(this.transitionTable[state][symbols[i]], checked)) {
-				return false;
-			}
-		}
-	}
+	// How many times the cache has been emptied. A state only follows the transitions it caches
+	// while it is from the current generation of the cache, so old states can't keep growing.
+	this.generation = 0;
 	
-	return true;
+	// The empty closure of each NFA state (see SubsetConstruction.Closure).
+	this.closures = {};
+	this.reached = new Int32Array(nfa.end + 1);
+	this.closureCount = 0;
 }
 
+LazyDFA.prototype.Key = SubsetConstruction.prototype.Key;
+LazyDFA.prototype.Closure = SubsetConstruction.prototype.Closure;
+LazyDFA.prototype.Step = SubsetConstruction.prototype.Step;
 
+// Searching only needs LongestMatch and CodeAt, which are the lazy DFA's own.
+LazyDFA.prototype.FindAll = DFA.prototype.FindAll;
+LazyDFA.prototype.MatchAll = DFA.prototype.MatchAll;
+LazyDFA.prototype.Search = DFA.prototype.Search;
+LazyDFA.prototype.ValidWordLength = DFA.prototype.ValidWordLength;
+LazyDFA.prototype.CodeAt = DFA.prototype.CodeAt;
 
-
-
-
-function SubsetConstruction(nfa) {
-	this.StateMapping = {};
-	this.dfa = new DFA();
-	
-	this.mappings = 0;
+/**
+ * Finds the cached state of a set of NFA states in a context, adding it to the cache if it isn't
+ * there (and emptying the cache first if it is full).
+ *
+ * @param {Array<int>} nfaStates The sorted NFA states.
+ * @param {int} context The category of the previous character (0 without assertions).
+ * @returns {Object} The state, an object { states, context, generation, next, accept }, where next
+ *          is the state reached on each class (once followed) and accept is the tag the state
+ *          accepts with by category of the next character (see DFA.prototype.AcceptingTag).
+ */
+LazyDFA.prototype.State = function(nfaStates, context) {
+	let key = this.Key(nfaStates, context);
 	
-	this.Build(nfa);
+	if (this.cache.hasOwnProperty(key))
+		return this.cache[key];
 	
-	for (let i = 0; i < this.mappings; i++) {
-		if (this.StateMapping[i].includes(0))
-			this.dfa.transitionTable[i]['start'] = true;
-		else
-			this.dfa.transitionTable[i]['start'] = false;
-		
-		if (this.StateMapping[i].includes(nfa.end))
-			this.dfa.transitionTable[i]['end'] = true;
-		else
-			this.dfa.transitionTable[i]['end'] = false;
+	if (this.cached >= this.maxStates) {
+		this.cache = {};
+		this.cached = 0;
+		this.starts = [];
+		this.generation += 1;
 	}
 	
-	this.AddDeadState(nfa.values);
-	this.SimplifyDeadStates();
-	//this.Minimise(nfa.values);
-	return this.dfa;
-}
-
-SubsetConstruction.prototype.GetMapping = function(nfaStates) {
-	let memStates, flag;
+	let state = { states: nfaStates, context: context, generation: this.generation, next: [], accept: [] };
 	
-	// Return a pre-exisiting mapping, if one exists.
-	for (let i = 0; i < this.mappings; i++) {
-		memStates = this.StateMapping[i];
-		flag = true;
-		
-		if (memStates.length != nfaStates.length)
-			continue;
-		
-		// Neither state array should contain duplicate state elements.
-		for (let j = 0; j < nfaStates.length; j++) {
-			if (!memStates.includes(nfaStates[j])) {
-				flag = false;
-				break;
-			}
-		}
-		
-		if (flag) {
-			return i;
-		}
+	for (let next = Alphabet.BOUNDARY; next <= Alphabet.OTHER; next++) {
+		let states = this.assertions ? this.nfa.AssertionClosure(nfaStates, context, next) : nfaStates;
+		state.accept.push(this.nfa.AcceptingTag(states));
 	}
 	
-	// Add a new mapping if no existing mapping exists.
-	this.StateMapping[this.mappings] = nfaStates;
-	this.dfa.transitionTable[this.mappings] = {};
-	this.mappings += 1;
-	
+	this.cache[key] = state;
+	this.cached += 1;
 	
-	// Return the newly created mapping.
-	return this.mappings - 1;
+	return state;
 }
 
-
-SubsetConstruction.prototype.HasMapping = function(nfaStates) {
-	let memStates, flag;
+/**
+ * Finds the state to start in, after a character of the passed category.
+ *
+ * @param {int} previous The category of the character before the start (see Alphabet.BOUNDARY).
+ * @returns {Object} The start state (see State).
+ */
+LazyDFA.prototype.Start = function(previous) {
+	let context = this.assertions ? previous : 0;
+	let state = this.starts[context];
 	
-	// Return a pre-exisiting mapping, if one exists.
-	for (let i = 0; i < this.mappings; i++) {
-		memStates = this.StateMapping[i];
-		flag = true;
-		
-		if (memStates.length != nfaStates.length)
-			continue;
-		
-		// Neither state array should contain duplicate state elements.
-		for (let j = 0; j < nfaStates.length; j++) {
-			if (!memStates.includes(nfaStates[j])) {
-				flag = false;
-				break;
-			}
-		}
-		
-		if (flag) {
-			return true;
-		}
+	// Adding the state may empty the cache (and the start states with it), so it is saved after.
+	if (state == undefined) {
+		state = this.State(this.Closure(this.nfa, [0]), context);
+		this.starts[context] = state;
 	}
 	
-	return false;
+	return state;
 }
 
-SubsetConstruction.prototype.Build = function(nfa) {
-	let symbols = [];
+/**
+ * Finds the state reached from a state by reading a character of the passed class, building it if
+ * it hasn't been reached yet.
+ *
+ * @param {Object} state The state to move from (see State).
+ * @param {int} symbol The class of the character read.
+ * @returns {Object} The state reached, or null if no NFA state is reached.
+ */
+LazyDFA.prototype.Next = function(state, symbol) {
+	let current = state.generation == this.generation;
 	
-	// Get all starting states via eClosure of state 0.
+	if (current && state.next[symbol] !== undefined)
+		return state.next[symbol];
 	
-	let startStates = nfa.eClosure([0]);
+	let step = this.Step(this.nfa, this.alphabet, state.states, state.context, symbol);
+	let next = step.states.length > 0 ? this.State(step.states, step.context) : null;
 	
-	// Populate the array of symbols with all symbols excluding null (empty).
-	for (let i = 0; i < nfa.values.length; i++) {
-		if (nfa.values[i] != null) {
-			symbols.push(nfa.values[i]);
-		}
-	}
+	// The cache may have been emptied for the new state, leaving this state out of date.
+	if (current && state.generation == this.generation)
+		state.next[symbol] = next;
+	
+	return next;
+}
 
-	this.Recursive(nfa, this.GetMapping(startStates), symbols);
+/**
+ * Counts the states in the cache.
+ *
+ * @returns {int} The number of cached states.
+ */
+LazyDFA.prototype.CountStates = function() {
+	return this.cached;
 }
 
-SubsetConstruction.prototype.Recursive = function(nfa, state, symbols) {
-	let symbol, states, mapping;
+/**
+ * Finds the category of a character of the word (see DFA.prototype.Category).
+ *
+ * @param {string} word The word.
+ * @param {int} i The index of the character.
+ * @returns {int} The category of the character, or Alphabet.BOUNDARY if the index is outside of the
+ *          word.
+ */
+LazyDFA.prototype.Category = function(word, i) {
+	if (i < 0 || i >= word.length)
+		return Alphabet.BOUNDARY;
 	
-	for (let i = 0; i < symbols.length; i++) {
-		symbol = symbols[i];
-		
-		let move = nfa.Move(this.StateMapping[state], symbol);
-		
-		states = nfa.eClosure(move);
+	return this.alphabet.categories[this.alphabet.Lookup(this.CodeAt(word, i))];
+}
 
-		if (states.length > 0 && !this.HasMapping(states)) {
-			mapping = this.GetMapping(states);
-			this.dfa.transitionTable[state][symbol] = mapping;
-			this.Recursive(nfa, mapping, symbols);
-		} else {
-			this.dfa.transitionTable[state][symbol] = this.GetMapping(states);
-		}
+/**
+ * Checks whether the whole word matches.
+ *
+ * @param {string} word The word to match.
+ * @returns {boolean} Whether the word matches.
+ */
+LazyDFA.prototype.IsValidWord = function(word) {
+	let state = this.Start(Alphabet.BOUNDARY);
+	let code;
+	
+	for (let i = 0; i < word.length && state != null; i += code > 0xFFFF ? 2 : 1) {
+		code = this.CodeAt(word, i);
+		state = this.Next(state, this.alphabet.Lookup(code));
 	}
+	
+	return state != null && state.accept[Alphabet.BOUNDARY] != -1;
 }
 
-SubsetConstruction.prototype.AddDeadState = function(symbols) {
-	for (let i = 0; i < this.mappings; i++) {
-		for (let j = 0; j < symbols.length; j++) {
-			if (symbols[j] != null && !this.dfa.transitionTable[i].hasOwnProperty(symbols[j])) {
-				if (!this.dfa.transitionTable.hasOwnProperty(this.mappings))
-					this.dfa.transitionTable[this.mappings] = { start: false, end: false };
-				
-				this.dfa.transitionTable[i][symbols[j]] = this.mappings;
-			}
+/**
+ * Finds the longest match starting at the given index of the word (see DFA.prototype.LongestMatch).
+ *
+ * @param {string} word The string to match against.
+ * @param {int} start The index to start matching from.
+ * @returns {Object} An object { last, tag }, where last is the index of the final character of the
+ *          match (or -1 if there is no match) and tag is the tag of the accepting state reached.
+ */
+LazyDFA.prototype.LongestMatch = function(word, start) {
+	let state = this.Start(this.Category(word, start - 1));
+	let lastValid = -1;
+	let tag = -1;
+	let code, width, accepted;
+	
+	for (let i = start; i < word.length; i += width) {
+		code = this.CodeAt(word, i);
+		width = code > 0xFFFF ? 2 : 1;
+		state = this.Next(state, this.alphabet.Lookup(code));
+		
+		if (state == null)
+			break;
+		
+		accepted = state.accept[this.Category(word, i + width)];
+		
+		if (accepted != -1) {
+			lastValid = i + width - 1;
+			tag = accepted;
 		}
 	}
 	
-	if (this.dfa.transitionTable.hasOwnProperty(this.mappings))
-		this.mappings += 1;
+	return { last: lastValid, tag: tag };
 }
 
-SubsetConstruction.prototype.IsDeadState = function(state) {
-	return this.IsDeadStateRecursive(state, []);
+
+
+/**
+ * Finds what each capturing group of a regex matched, by simulating its NFA on a match that has
+ * already been found (a Pike VM). Every path through the NFA is followed at once, as a list of
+ * threads in priority order (the order a backtracking matcher like RegExp would try them in), each
+ * with the positions saved so far. Where two threads reach the same state, only the first is kept,
+ * so the time taken is linear in the length of the match.
+ *
+ * Of the ways the groups could split the match, the one chosen is the one RegExp would prefer. As
+ * in most automata-based engines (but not RegExp), a repetition may match the empty string once
+ * its minimum is met, so '(a?)*' sets its group to an empty match rather than leaving it unset.
+ *
+ * @param {NFA} nfa The NFA of the regex (with the saves of its groups, see NFA.saves).
+ * @param {Object} [options] Matching options:
+ *   - unicode {boolean} Whether input is read a code point at a time (default: false).
+ *   - ignoreCase {boolean} Whether the regex ignores case, which with unicode makes ſ and the Kelvin
+ *     sign word characters (default: false).
+ */
+function PikeVM(nfa, options) {
+	let slots = nfa.Slots();
+	
+	this.nfa = nfa;
+	this.unicode = !!(options && options.unicode);
+	this.extraWords = this.unicode && !!(options && options.ignoreCase);
+	
+	// Slots 0 and 1 are left for the whole match, so that group n's slots are 2n and 2n + 1.
+	this.size = slots.length > 0 ? slots[slots.length - 1] + 1 : 2;
 }
 
+PikeVM.prototype.CodeAt = DFA.prototype.CodeAt;
 
-SubsetConstruction.prototype.IsDeadStateRecursive = function(state, checked) {
-	let symbols = Object.keys(this.dfa.transitionTable[state]);
+/**
+ * Finds the category of a character of the word (see DFA.prototype.Category).
+ *
+ * @param {string} word The word.
+ * @param {int} i The index of the character.
+ * @returns {int} The category of the character, or Alphabet.BOUNDARY if the index is outside of the
+ *          word.
+ */
+PikeVM.prototype.Category = function(word, i) {
+	if (i < 0 || i >= word.length)
+		return Alphabet.BOUNDARY;
 	
-	// False if end.
-	if (this.dfa.transitionTable[state]['end'])
-		return false;
+	return Alphabet.Category(this.CodeAt(word, i), this.extraWords);
+}
+
+/**
+ * Finds the positions saved by the highest priority path through the NFA that matches exactly
+ * the given part of the word.
+ *
+ * @param {string} word The word the match was found in.
+ * @param {int} index The index the match starts at.
+ * @param {int} end The index after the last character of the match.
+ * @returns {Array<int>} The saved positions by slot (-1 for a slot that wasn't saved), or null if
+ *          no path matches.
+ */
+PikeVM.prototype.Run = function(word, index, end) {
+	let table = this.nfa.transitionTable;
+	let slots = [];
+	let threads = [];
+	let code, width, next, added, row;
 	
-	// True if dead state or cyclic (so we don't re-check it).
-	if (symbols.length == 2 || checked.includes(state))
-		return true;
+	for (let i = 0; i < this.size; i++)
+		slots.push(-1);
 	
-	checked.push(state);
+	this.AddThread(threads, {}, 0, slots, word, index);
 	
-	// Search all branches for at least one end or all dead.
-	for (let i = 0; i < symbols.length; i++) {
-		if (symbols[i] != 'start' && symbols[i] != 'end') {
-			if (!this.IsDeadStateRecursive(this.dfa.transitionTable[state][symbols[i]], checked)) {
-				return false;
+	for (let i = index; i < end; i += width) {
+		code = this.CodeAt(word, i);
+		width = code > 0xFFFF ? 2 : 1;
+		next = [];
+		added = {};
+		
+		// Each thread that can read the character moves on, in the same order.
+		for (let j = 0; j < threads.length; j++) {
+			row = table[threads[j].state] || {};
+			
+			for (let value in row) {
+				if (!this.nfa.sets.hasOwnProperty(value) || !this.nfa.sets[value].Contains(code))
+					continue;
+				
+				for (let k = 0; k < row[value].length; k++)
+					this.AddThread(next, added, row[value][k], threads[j].slots, word, i + width);
 			}
 		}
+		
+		threads = next;
 	}
 	
-	return true;
-}
-
-
-SubsetConstruction.prototype.SimplifyDeadStates = function() {
-	let deadStates = [];
-	
-	for (let i = 0; i < this.mappings - 1; i++) {
-		if (this.IsDeadState(i)) {
-			this.RemoveState(i, this.mappings - 1);
-		}
+	// The first thread to accept has the highest priority.
+	for (let j = 0; j < threads.length; j++) {
+		if (threads[j].state == this.nfa.end)
+			return threads[j].slots;
 	}
+	
+	return null;
 }
 
-SubsetConstruction.prototype.RemoveState = function(state, newState) {
-	// For every state i where i > state to remove, assign object at i to i-1.
-	// Remove the last object and decrement mappings.
-	for (let i = 0; i < this.mappings; i++) {
-		let symbols = Object.keys(this.dfa.transitionTable[state]);
+/**
+ * Adds a thread in a state to the list, followed by the threads reached from it by empty
+ * transitions and the assertions that hold at the position, in priority order. Only threads in
+ * states that read a character or accept are added, and no state is added twice.
+ *
+ * @param {Array<Object>} threads The list of { state, slots } threads to add to.
+ * @param {Object} added The states already added to the list.
+ * @param {int} state The state of the thread.
+ * @param {Array<int>} slots The positions saved by the thread so far.
+ * @param {string} word The word being matched.
+ * @param {int} position The index of the word the thread is at.
+ */
+PikeVM.prototype.AddThread = function(threads, added, state, slots, word, position) {
+	let previous = this.Category(word, position - 1);
+	let next = this.Category(word, position);
+	let stack = [{ state: state, slots: slots }];
+	let top, row, targets, reads;
+	
+	// A depth-first search, with the targets of each state pushed in reverse so that the first is
+	// followed first.
+	while (stack.length > 0) {
+		top = stack.pop();
+		state = top.state;
+		slots = top.slots;
 		
-		for (let j = 0; j < symbols.length; j++) {
-			if (symbols[j] != 'start' && symbols[j] != 'end') {
-				if (this.dfa.transitionTable[i][symbols[j]] == state)
-					this.dfa.transitionTable[i][symbols[j]] = newState;
-				
-				if (this.dfa.transitionTable[i][symbols[j]] > state)
-					this.dfa.transitionTable[i][symbols[j]] -= 1;
-			}
+		if (added[state])
+			continue;
+		
+		added[state] = true;
+		
+		// Entering a repetition clears the groups inside it, and a group's start or end saves the
+		// position.
+		if (this.nfa.resets.hasOwnProperty(state) || this.nfa.saves.hasOwnProperty(state)) {
+			slots = slots.slice();
+			
+			for (let i = 0; this.nfa.resets.hasOwnProperty(state) && i < this.nfa.resets[state].length; i++)
+				slots[this.nfa.resets[state][i]] = -1;
+			
+			if (this.nfa.saves.hasOwnProperty(state))
+				slots[this.nfa.saves[state]] = position;
 		}
 		
-		if (i > state) {
-			this.dfa.transitionTable[i - 1] = this.dfa.transitionTable[i];
+		row = this.nfa.transitionTable[state] || {};
+		targets = [];
+		reads = state == this.nfa.end;
+		
+		for (let value in row) {
+			if (value == 'null' || (NFA.ASSERTIONS.hasOwnProperty(value) && NFA.ASSERTIONS[value](previous, next)))
+				targets = targets.concat(row[value]);
+			else if (this.nfa.sets.hasOwnProperty(value))
+				reads = true;
 		}
+		
+		if (reads)
+			threads.push({ state: state, slots: slots });
+		
+		for (let i = targets.length - 1; i >= 0; i--)
+			stack.push({ state: targets[i], slots: slots });
 	}
-	
-	delete this.dfa.transitionTable[this.mappings - 1];
-	this.mappings -= 1;
 }
 
 
-// SubsetConstruction.prototype.Minimise will use Hopcroft's algorithm, but I haven't gotten yet figured out how to do this.
\ No newline at end of file
+
+// Export every class to CommonJS (Node, and bundlers) or AMD. Loaded with a <script> tag instead,
+// the classes are left as globals (the block keeps 'classes' from being one).
+{
+	let classes = {
+		Regex: Regex,
+		RegexSyntaxError: RegexSyntaxError,
+		RegexLimitError: RegexLimitError,
+		RegexRuleError: RegexRuleError,
+		CharSet: CharSet,
+		Alphabet: Alphabet,
+		NFA: NFA,
+		DFA: DFA,
+		Diagram: Diagram,
+		SubsetConstruction: SubsetConstruction,
+		LazyDFA: LazyDFA,
+		PikeVM: PikeVM
+	};
+	
+	if (typeof module != 'undefined' && module.exports)
+		module.exports = classes;
+	else if (typeof define == 'function' && define.amd)
+		define(function() { return classes; });
+}
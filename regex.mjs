@@ -0,0 +1,18 @@
+// The ES module entry point, which re-exports the classes of regex.js (a CommonJS module when
+// loaded this way).
+import regex from './regex.js';
+
+export const Regex = regex.Regex;
+export const RegexSyntaxError = regex.RegexSyntaxError;
+export const RegexLimitError = regex.RegexLimitError;
+export const RegexRuleError = regex.RegexRuleError;
+export const CharSet = regex.CharSet;
+export const Alphabet = regex.Alphabet;
+export const NFA = regex.NFA;
+export const DFA = regex.DFA;
+export const Diagram = regex.Diagram;
+export const SubsetConstruction = regex.SubsetConstruction;
+export const LazyDFA = regex.LazyDFA;
+export const PikeVM = regex.PikeVM;
+
+export default regex;
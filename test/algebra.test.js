@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Regex, DFA, CharSet } = require('../regex.js');
+
+const PATTERNS = ['a*b', '(a|b)*abb', '[a-c]+', '\\bab', 'a\\B', '^b|a$', '(ab)?c*', 'x', 'a{2,3}|c'];
+
+/**
+ * Lists every word of up to the given length made of the characters.
+ */
+function Words(chars, length) {
+	let words = [''];
+	
+	for (let i = 0, start = 0; i < length; i++) {
+		let end = words.length;
+		
+		for (let j = start; j < end; j++) {
+			for (let char of chars)
+				words.push(words[j] + char);
+		}
+		
+		start = end;
+	}
+	
+	return words;
+}
+
+const WORDS = Words(['a', 'b', 'c', ' '], 5);
+
+function Reversed(word) {
+	return word.split('').reverse().join('');
+}
+
+test('Intersect, Union and Difference match what their operation of the two DFAs would', function() {
+	for (let x of PATTERNS) {
+		for (let y of PATTERNS) {
+			let a = new Regex(x).dfa;
+			let b = new Regex(y).dfa;
+			let intersection = DFA.Intersect(a, b);
+			let union = DFA.Union(a, b);
+			let difference = DFA.Difference(a, b);
+			
+			for (let word of WORDS) {
+				let message = x + ' and ' + y + ' on ' + JSON.stringify(word);
+				
+				assert.strictEqual(intersection.IsValidWord(word), a.IsValidWord(word) && b.IsValidWord(word), message);
+				assert.strictEqual(union.IsValidWord(word), a.IsValidWord(word) || b.IsValidWord(word), message);
+				assert.strictEqual(difference.IsValidWord(word), a.IsValidWord(word) && !b.IsValidWord(word), message);
+			}
+		}
+	}
+});
+
+test('Products search the same way as any other DFA, with assertions', function() {
+	let both = DFA.Intersect(new Regex('\\b\\w+').dfa, new Regex('[a-z]*q[a-z]*').dfa);
+	
+	assert.deepStrictEqual(both.FindAll('iraq qatar xq1 aq'), [
+		{ value: 'iraq', index: 0, end: 4 },
+		{ value: 'qatar', index: 5, end: 10 },
+		{ value: 'xq', index: 11, end: 13 },
+		{ value: 'aq', index: 15, end: 17 }
+	]);
+});
+
+test('Complement matches the words of the alphabet that the DFA does not', function() {
+	let set = new CharSet([[0x61, 0x62]], false);
+	
+	for (let pattern of PATTERNS) {
+		let dfa = new Regex(pattern).dfa;
+		let complement = dfa.Complement(set);
+		let everything = dfa.Complement();
+		
+		for (let word of WORDS) {
+			let message = pattern + ' on ' + JSON.stringify(word);
+			
+			assert.strictEqual(complement.IsValidWord(word), !/[^ab]/.test(word) && !dfa.IsValidWord(word), message);
+			assert.strictEqual(everything.IsValidWord(word), !dfa.IsValidWord(word), message);
+		}
+	}
+});
+
+test('Reverse matches the reverse of every word the DFA matches', function() {
+	for (let pattern of PATTERNS) {
+		let dfa = new Regex(pattern).dfa;
+		let reversed = dfa.Reverse();
+		let twice = reversed.Reverse().Minimise();
+		
+		for (let word of WORDS) {
+			assert.strictEqual(reversed.IsValidWord(Reversed(word)), dfa.IsValidWord(word), pattern + ' on ' + JSON.stringify(word));
+			assert.strictEqual(twice.IsValidWord(word), dfa.IsValidWord(word), pattern + ' on ' + JSON.stringify(word));
+		}
+		
+		assert.strictEqual(twice.CountStates(), dfa.CountStates(), pattern);
+	}
+	
+	assert.deepStrictEqual(new Regex('\\bab').dfa.Reverse().FindAll('bab ba'), [{ value: 'ba', index: 4, end: 6 }]);
+});
+
+test('Products can be minimised and saved like any other DFA', function() {
+	let a = new Regex('(a|b)*abb').dfa;
+	let b = new Regex('[ab]*b').dfa;
+	let intersection = DFA.Intersect(a, b);
+	let minimal = intersection.Minimise();
+	let loaded = DFA.FromJSON(JSON.stringify(minimal.ToJSON()));
+	
+	assert.ok(intersection.CountStates() > minimal.CountStates());
+	assert.strictEqual(minimal.CountStates(), a.CountStates());
+	
+	for (let word of WORDS) {
+		assert.strictEqual(minimal.IsValidWord(word), a.IsValidWord(word), JSON.stringify(word));
+		assert.strictEqual(loaded.IsValidWord(word), a.IsValidWord(word), JSON.stringify(word));
+	}
+});
+
+test('Tagged DFAs accept for any tag, and DFAs with different flags cannot be combined', function() {
+	let lexer = new Regex({ a: 'a+', b: 'b+' }).dfa;
+	let union = DFA.Union(lexer, new Regex('c').dfa).Minimise();
+	
+	assert.deepStrictEqual(['aa', 'bb', 'c', 'ab'].map(function(word) { return union.IsValidWord(word); }), [true, true, true, false]);
+	assert.strictEqual(union.ToJSON().tagged, false);
+	assert.throws(function() { DFA.Intersect(new Regex('a', 'u').dfa, new Regex('a').dfa); }, /can't be combined/);
+	assert.throws(function() { DFA.Intersect(new Regex('a', 'iu').dfa, new Regex('a', 'u').dfa); }, /can't be combined/);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Regex, PikeVM } = require('../regex.js');
+
+/**
+ * Lists the values captured by each group of a match (or null for a group that didn't match).
+ */
+function Values(match) {
+	return match.captures.map(function(capture) { return capture && capture.value; });
+}
+
+test('Numbered groups capture their spans', function() {
+	let match = new Regex('(\\d+)-(\\d+)').Search('tel 12-345');
+	
+	assert.deepStrictEqual(match.captures, [
+		{ value: '12-345', index: 4, end: 10 },
+		{ value: '12', index: 4, end: 6 },
+		{ value: '345', index: 7, end: 10 }
+	]);
+	assert.deepStrictEqual(match.groups, {});
+});
+
+test('Named groups are captured by name as well as by number', function() {
+	let match = new Regex('(?<year>\\d{4})-(?:\\d\\d)-(?<day>\\d\\d)').Search('on 2024-05-01');
+	
+	assert.deepStrictEqual(Values(match), ['2024-05-01', '2024', '01']);
+	assert.deepStrictEqual(match.groups, {
+		year: { value: '2024', index: 3, end: 7 },
+		day: { value: '01', index: 11, end: 13 }
+	});
+});
+
+test('Groups capture what RegExp would for the same match', function() {
+	let cases = [
+		['(a|ab)(c|bcd)(d*)', 'abcd'],
+		['((a)|b)+', 'ab'],
+		['(a)|b', 'b'],
+		['(a*)(a*)', 'aaa'],
+		['\\b(\\w+)\\b', '  hi there'],
+		['(a|b)*(b)', 'abab'],
+		['((a)|(b)){2}', 'ab']
+	];
+	
+	for (let [pattern, word] of cases) {
+		let native = new RegExp(pattern).exec(word);
+		let match = new Regex(pattern).Search(word);
+		
+		assert.strictEqual(match.index, native.index, pattern);
+		assert.deepStrictEqual(Values(match), Array.from(native).map(function(value) { return value === undefined ? null : value; }), pattern);
+	}
+});
+
+test('Groups are captured by FindAll, MatchAll and the lazy engine', function() {
+	let expected = [['a1', 'a', '1'], ['b2', 'b', '2']];
+	
+	for (let engine of ['dfa', 'lazy']) {
+		let regex = new Regex('([a-z])(\\d)', { engine: engine });
+		
+		assert.deepStrictEqual(regex.FindAll('a1 b2').map(Values), expected, engine);
+		assert.deepStrictEqual(Array.from(regex.MatchAll('a1 b2')).map(Values), expected, engine);
+	}
+});
+
+test('Matches are unchanged without capturing groups', function() {
+	assert.deepStrictEqual(new Regex('(?:a|b)+').Search('xab'), { value: 'ab', index: 1, end: 3 });
+	assert.deepStrictEqual(new Regex({ pair: '(a)(b)' }).FindAll('ab'), [{ value: 'ab', index: 0, end: 2 }]);
+	assert.deepStrictEqual(Regex.FromCompiled(new Regex('(a)').ToJSON()).Search('a'), { value: 'a', index: 0, end: 1 });
+});
+
+test('PikeVM only matches paths that end exactly at the end given', function() {
+	let regex = new Regex('(a+)(b?)');
+	let vm = new PikeVM(regex.vm.nfa);
+	
+	assert.deepStrictEqual(vm.Run('aab', 0, 2).slice(2), [0, 2, 2, 2]);
+	assert.deepStrictEqual(vm.Run('aab', 0, 3).slice(2), [0, 2, 2, 3]);
+	assert.strictEqual(vm.Run('aab', 2, 3), null);
+});
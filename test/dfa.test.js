@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Regex, NFA, DFA, SubsetConstruction, RegexLimitError } = require('../regex.js');
+
+test('SubsetConstruction builds a minimised DFA', function() {
+	// The textbook DFA for (a|b)*abb has four states, plus one dead state for any other character.
+	assert.strictEqual(new Regex('(a|b)*abb').dfa.CountStates(), 5);
+	assert.strictEqual(new Regex('(a|b)*abb', { minimise: false }).dfa.CountStates(), 6);
+	assert.strictEqual(new Regex('a{1,1000}').dfa.CountStates(), 1002);
+});
+
+test('SubsetConstruction builds DFAs with thousands of states', function() {
+	// Every state on the way to the last state is new, so exploring recursively would nest 8000 calls.
+	assert.strictEqual(new Regex('(a|b)*a(a|b){12}', { maxDFAStates: 20000 }).dfa.CountStates(), 8193);
+	assert.strictEqual(new Regex('a{1,3000}', { maxRepeat: 3000 }).dfa.CountStates(), 3002);
+});
+
+test('SubsetConstruction stops at the maxDFAStates limit', function() {
+	assert.throws(function() { new Regex('(a|b)*a(a|b){6}', { maxDFAStates: 50 }); }, function(error) {
+		return error instanceof RegexLimitError && error.code == 'DFA_TOO_LARGE';
+	});
+});
+
+test('SubsetConstruction marks start and accepting states', function() {
+	let regex = new Regex('', { minimise: true });
+	let nfa = regex.BuildNFA(regex.ParseTokens(regex.TokenizeRegex('ab')));
+	let dfa = new SubsetConstruction(nfa, {});
+	
+	assert.ok(dfa instanceof DFA);
+	assert.strictEqual(dfa.transitionTable[0]['start'], true);
+	assert.strictEqual(dfa.transitionTable[0]['end'], false);
+	assert.ok(dfa.IsValidWord('ab'));
+});
+
+test('IsValidWord matches the whole word', function() {
+	let regex = new Regex('(a|b)*abb');
+	
+	assert.ok(regex.IsValidWord('abb'));
+	assert.ok(regex.IsValidWord('babaabb'));
+	assert.ok(!regex.IsValidWord('ab'));
+	assert.ok(!regex.IsValidWord('abbc'));
+	assert.ok(!regex.IsValidWord(''));
+	assert.ok(new Regex('a*').IsValidWord(''));
+});
+
+test('Search, FindAll and MatchAll take the longest match at each position', function() {
+	let regex = new Regex('\\d+');
+	
+	assert.deepStrictEqual(regex.Search('a 12 b 7', 5), { value: '7', index: 7, end: 8 });
+	assert.strictEqual(regex.Search('abc'), null);
+	assert.deepStrictEqual(regex.FindAll('1 22 1'), [{ value: '1', index: 0, end: 1 }, { value: '22', index: 2, end: 4 }]);
+	assert.strictEqual(regex.FindAll('1 22 1', { unique: false }).length, 3);
+	assert.deepStrictEqual(Array.from(regex.MatchAll('1 2')).map(function(match) { return match.value; }), ['1', '2']);
+	assert.deepStrictEqual(new Regex('a|ab|abc').FindAll('abcab').map(function(match) { return match.value; }), ['abc', 'ab']);
+});
+
+test('Search and FindAll stop at dead states on DFAs with thousands of states', function() {
+	// Checking each state for a path to an accepting state as it is reached would nest 9000 calls.
+	let regex = new Regex('(?:a{1000}){9}b');
+	
+	assert.strictEqual(regex.dfa.CountStates(), 9003);
+	assert.deepStrictEqual(regex.Search('a'.repeat(9000) + 'b'), { value: 'a'.repeat(9000) + 'b', index: 0, end: 9001 });
+	assert.deepStrictEqual(new Regex('[a-z]{1,300}x').FindAll('ab'.repeat(2000) + 'x'), [{ value: 'ab'.repeat(150) + 'x', index: 3700, end: 4001 }]);
+});
+
+test('Anchors and word boundaries look at the characters around the match', function() {
+	assert.deepStrictEqual(new Regex('\\bcat\\b').FindAll('concat cat cats', { unique: false }).map(function(match) { return match.index; }), [7]);
+	assert.deepStrictEqual(new Regex('^\\w+$', 'm').FindAll('ab\ncd e\nf').map(function(match) { return match.value; }), ['ab', 'f']);
+	assert.strictEqual(new Regex('^a').Search('ba'), null);
+	assert.ok(new Regex('a$|b').IsValidWord('a'));
+});
+
+test('Tokenize splits the input by the longest match of the rules', function() {
+	let lexer = new Regex({ keyword: 'if|else', identifier: '[a-z]+', space: ' +' });
+	
+	assert.deepStrictEqual(lexer.Tokenize('if ifs'), [
+		{ type: 'keyword', value: 'if' },
+		{ type: 'space', value: ' ' },
+		{ type: 'identifier', value: 'ifs' }
+	]);
+	
+	assert.throws(function() { lexer.Tokenize('if 1'); }, /index 3/);
+	assert.throws(function() { new Regex('a').Tokenize('a'); });
+});
+
+test('Flags change how the input is matched', function() {
+	assert.ok(new Regex('apples?', 'i').IsValidWord('APPLES'));
+	assert.ok(new Regex('[^a]', 'i').IsValidWord('b'));
+	assert.ok(!new Regex('[^a]', 'i').IsValidWord('A'));
+	assert.ok(new Regex('a.b', 's').IsValidWord('a\nb'));
+	assert.ok(!new Regex('a.b').IsValidWord('a\nb'));
+	assert.ok(new Regex('.', 'u').IsValidWord('\u{1F600}'));
+	assert.ok(!new Regex('.').IsValidWord('\u{1F600}'));
+	assert.ok(new Regex('k', { i: true, u: true }).IsValidWord('K'));
+	assert.ok(!new Regex('\\W', 'iu').IsValidWord('ſ'));
+	assert.ok(new Regex('\\W', 'i').IsValidWord('ſ'));
+	assert.strictEqual(new Regex('a\\b', 'iu').Search('aK'), null);
+});
+
+test('A DFA survives being saved as JSON and loaded again', function() {
+	let lexer = new Regex({ word: '\\b[a-z]+', number: '\\d+', space: ' ' });
+	let loaded = Regex.FromCompiled(JSON.stringify(lexer.ToJSON()));
+	
+	assert.deepStrictEqual(loaded.Tokenize('ab 12 c'), lexer.Tokenize('ab 12 c'));
+	assert.deepStrictEqual(DFA.FromJSON(lexer.dfa.ToJSON()).ToJSON(), lexer.dfa.ToJSON());
+	assert.strictEqual(Regex.FromCompiled(new Regex('a\\b', 'iu').ToJSON()).Search('a\u212A'), null);
+	assert.throws(function() { DFA.FromJSON({ version: 0 }); }, /version/);
+	assert.throws(function() { DFA.FromJSON(Object.assign(lexer.dfa.ToJSON(), { ignoreCase: undefined })); }, /ignoreCase/);
+});
+
+test('A generated scanner matches the same as the DFA', function() {
+	let lexer = new Regex({ keyword: 'if|else', identifier: '[a-z]+', space: ' +' });
+	let scanner = {};
+	
+	new Function('module', lexer.ToJavaScript({ format: 'commonjs' }))({ set exports(value) { scanner = value; } });
+	
+	assert.deepStrictEqual(scanner.tokenize('if elsey x'), lexer.Tokenize('if elsey x'));
+	assert.strictEqual(scanner.match('else'), lexer.IsValidWord('else'));
+	assert.deepStrictEqual(scanner.findAll('a if b'), lexer.FindAll('a if b'));
+});
+
+test('The NFA and DFA can be drawn as state diagrams', function() {
+	let regex = new Regex('(a|b)*abb');
+	let nfa = null;
+	
+	new Regex('a|b', { onStage: function(event) { if (event.stage == 'nfa') nfa = event.value; } });
+	
+	assert.ok(nfa instanceof NFA);
+	assert.match(nfa.ToDot(), /0 -> 1 \[label="ε"\];/);
+	assert.match(regex.dfa.ToDot(), /4 \[label="4", shape=doublecircle\];/);
+	assert.match(regex.dfa.ToDot({ nfaStates: true }), /label="0\\n\{[0-9,]+\}"/);
+	assert.match(regex.dfa.ToMermaid(), /^flowchart LR\n/);
+});
+
+test('onStage reports every stage of compilation in order', function() {
+	let stages = [];
+	
+	new Regex('a+', { onStage: function(event) { stages.push(event.stage); assert.ok(event.time >= 0); } });
+	
+	assert.deepStrictEqual(stages, ['tokens', 'ast', 'nfa', 'dfa', 'minimised']);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Regex, RegexRuleError } = require('../regex.js');
+
+test('Diagnose finds shadowed rules, overlapping rules and rules matching the empty string', function() {
+	let lexer = new Regex({
+		keyword: 'if|else',
+		identifier: '[a-z]+',
+		number: '\\d+',
+		integer: '[0-9]+',
+		space: ' *',
+		nothing: 'a^'
+	});
+	
+	assert.deepStrictEqual(lexer.Diagnose(), {
+		shadowed: [{ rule: 'integer', by: ['number'] }, { rule: 'nothing', by: [] }],
+		overlaps: [
+			{ rules: ['keyword', 'identifier'], example: 'if' },
+			{ rules: ['number', 'integer'], example: '0' }
+		],
+		empty: ['space']
+	});
+});
+
+test('A rule is only shadowed if no word of it wins', function() {
+	let diagnostics = new Regex({ short: 'ab?', long: 'a[a-z]*' }).Diagnose();
+	
+	assert.deepStrictEqual(diagnostics.shadowed, []);
+	assert.deepStrictEqual(diagnostics.overlaps, [{ rules: ['short', 'long'], example: 'a' }]);
+	
+	diagnostics = new Regex({ a: 'a+', b: 'b+', ab: 'a|b|aa' }).Diagnose();
+	
+	assert.deepStrictEqual(diagnostics.shadowed, [{ rule: 'ab', by: ['a', 'b'] }]);
+	assert.deepStrictEqual(diagnostics.overlaps.map(function(overlap) { return overlap.example; }), ['a', 'b']);
+});
+
+test('Rules with assertions overlap in any context', function() {
+	let diagnostics = new Regex({ prefix: 'a\\B', letter: 'a' }).Diagnose();
+	
+	assert.deepStrictEqual(diagnostics, { shadowed: [], overlaps: [{ rules: ['prefix', 'letter'], example: 'a' }], empty: [] });
+	assert.deepStrictEqual(new Regex({ boundary: '\\b', x: 'x' }).Diagnose().empty, ['boundary']);
+});
+
+test('The conflicts option warns about or throws for shadowed and empty rules', function() {
+	let warnings = [];
+	let warn = console.warn;
+	
+	assert.throws(function() { new Regex({ word: '[a-z]+', keyword: 'if' }, { conflicts: 'error' }); }, function(error) {
+		return error instanceof RegexRuleError && error.code == 'SHADOWED_RULE' && error.rule == 'keyword' &&
+			error.message == "Rule 'keyword' can never match, as every word it matches is matched by an earlier rule ('word').";
+	});
+	
+	assert.throws(function() { new Regex({ space: ' *' }, { conflicts: 'error' }); }, { name: 'RegexRuleError', code: 'EMPTY_RULE', rule: 'space' });
+	
+	console.warn = function(message) { warnings.push(message); };
+	
+	try {
+		new Regex({ word: '[a-z]+', keyword: 'if', space: ' *' }, { conflicts: 'warn' });
+		new Regex({ keyword: 'if', word: '[a-z]+' }, { conflicts: 'warn' });
+	}
+	
+	finally {
+		console.warn = warn;
+	}
+	
+	assert.deepStrictEqual(warnings, [
+		"Rule 'keyword' can never match, as every word it matches is matched by an earlier rule ('word').",
+		"Rule 'space' matches the empty string."
+	]);
+});
+
+test('Diagnose needs a map of rules and their NFA', function() {
+	assert.throws(function() { new Regex('a').Diagnose(); }, /requires a map of rules/);
+	assert.throws(function() { Regex.FromCompiled(new Regex({ a: 'a' }).ToJSON()).Diagnose(); }, /isn't kept by FromCompiled/);
+	assert.throws(function() { new Regex({ a: 'a' }, { conflicts: 'fail' }); }, /Unknown conflicts option 'fail'/);
+});
@@ -0,0 +1,280 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Regex, RegexLimitError } = require('../regex.js');
+
+// Random patterns are built from these pieces, and the strings they are matched against use the
+// same characters, so that most patterns match some of the strings.
+const CHARS = ['a', 'b', 'A', 'k', 'K', '1', '_', ' ', '\n', 'ſ', 'K', '\u{1F600}'];
+const ATOMS = ['a', 'b', 'A', 'k', '1', '_', ' ', '\\n', 'ſ', 'K', '.', '\\d', '\\w', '\\s', '\\W', '[ab]', '[^a]', '[a-k]', '[A-Z_]', '[^\\w\\n]', '\\u212a', '\u{1F600}'];
+const ASSERTIONS = ['^', '$', '\\b', '\\B'];
+const QUANTIFIERS = ['*', '+', '?', '{2}', '{1,3}', '{0,}', '{2,}'];
+const FLAGS = ['i', 'm', 's', 'u'];
+
+const PATTERNS = 400;
+const WORDS = 10;
+const MAX_DFA_STATES = 1000;
+
+/**
+ * Creates a small seeded random number generator (mulberry32), so that every run of the tests
+ * checks the same patterns.
+ *
+ * @param {int} seed The seed.
+ * @returns {function} A function returning a number in [0, 1).
+ */
+function Random(seed) {
+	return function() {
+		seed = (seed + 0x6D2B79F5) | 0;
+		let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	}
+}
+
+function Pick(random, items) {
+	return items[Math.floor(random() * items.length)];
+}
+
+function RandomPattern(random, depth) {
+	let alternatives = [];
+	
+	do {
+		let sequence = '';
+		let length = 1 + Math.floor(random() * 3);
+		
+		for (let i = 0; i < length; i++) {
+			let roll = random();
+			
+			if (roll < 0.1) {
+				sequence += Pick(random, ASSERTIONS);
+				continue;
+			}
+			
+			if (roll < 0.25 && depth < 2)
+				sequence += '(' + RandomPattern(random, depth + 1) + ')';
+			else
+				sequence += Pick(random, ATOMS);
+			
+			if (random() < 0.35)
+				sequence += Pick(random, QUANTIFIERS);
+		}
+		
+		alternatives.push(sequence);
+	} while (random() < 0.3);
+	
+	return alternatives.join('|');
+}
+
+function RandomFlags(random) {
+	return FLAGS.filter(function() { return random() < 0.3; }).join('');
+}
+
+function RandomWord(random) {
+	let word = '';
+	let length = Math.floor(random() * 7);
+	
+	for (let i = 0; i < length; i++)
+		word += Pick(random, CHARS);
+	
+	return word;
+}
+
+/**
+ * Builds the match expected of Regex from a RegExp result that matched from index to end, with the
+ * span of each group if the pattern has any.
+ */
+function Match(word, index, end, result) {
+	let match = { value: word.substring(index, end), index: index, end: end };
+	
+	if (result.length == 1)
+		return match;
+	
+	match.captures = [{ value: match.value, index: index, end: end }];
+	match.groups = {};
+	
+	for (let i = 1; i < result.length; i++) {
+		let start = result.indices[i] ? result.indices[i][0] : -1;
+		
+		match.captures.push(start == -1 ? null : { value: result[i], index: start, end: result.indices[i][1] });
+	}
+	
+	return match;
+}
+
+/**
+ * Finds the non-overlapping matches RegExp would give if it took the longest match at each
+ * position, like DFA.FindAll, rather than the first one found by backtracking. For each start,
+ * every end is tried from the longest down, by asserting the position of the end of the match with
+ * a lookbehind.
+ */
+function ExpectedMatches(pattern, flags, word) {
+	let matches = [];
+	let unicode = flags.includes('u');
+	
+	for (let i = 0; i < word.length; ) {
+		let end = -1;
+		let result;
+		
+		for (let j = word.length; j > i && end == -1; j--) {
+			// In u mode a match can't end inside a surrogate pair, and [\s\S] counts code points.
+			let length = unicode ? Array.from(word.substring(0, j)).length : j;
+			
+			if (unicode && Array.from(word.substring(0, j)).join('') != word.substring(0, j))
+				continue;
+			
+			let regex = new RegExp('(?:' + pattern + ')(?<=(?<![\\s\\S])[\\s\\S]{' + length + '})', 'dy' + flags);
+			regex.lastIndex = i;
+			result = regex.exec(word);
+			
+			if (result != null)
+				end = j;
+		}
+		
+		if (end == -1) {
+			i += unicode && word.codePointAt(i) > 0xFFFF ? 2 : 1;
+			continue;
+		}
+		
+		matches.push(Match(word, i, end, result));
+		i = end;
+	}
+	
+	return matches;
+}
+
+/**
+ * Strips the captures from matches, leaving { value, index, end }.
+ */
+function Spans(matches) {
+	return matches.map(function(match) { return { value: match.value, index: match.index, end: match.end }; });
+}
+
+/**
+ * Finds whether a node of a parsed pattern contains a group inside a repetition that could match
+ * the empty string. RegExp never lets an optional repetition match the empty string, where Regex
+ * lets it once, and so such groups may capture differently (see PikeVM).
+ */
+function RepeatsEmptyGroup(node, repeated) {
+	switch (node.type) {
+		case 'Alt':
+		case 'Concat':
+			return node.children.some(function(child) { return RepeatsEmptyGroup(child, repeated); });
+		
+		case 'Repeat':
+			return RepeatsEmptyGroup(node.child, repeated || (node.max != node.min && MinLength(node.child) == 0));
+		
+		case 'Group':
+			return repeated || RepeatsEmptyGroup(node.child, repeated);
+	}
+	
+	return false;
+}
+
+function MinLength(node) {
+	switch (node.type) {
+		case 'Char':
+		case 'Class':
+			return 1;
+		
+		case 'Alt':
+			return Math.min.apply(null, node.children.map(MinLength));
+		
+		case 'Concat':
+			return node.children.reduce(function(sum, child) { return sum + MinLength(child); }, 0);
+		
+		case 'Repeat':
+			return node.min * MinLength(node.child);
+		
+		case 'Group':
+			return MinLength(node.child);
+	}
+	
+	return 0;
+}
+
+/**
+ * Generates the same random cases on every call, each with its pattern already compiled. Patterns
+ * whose DFA would be too large are left out, since they only slow the tests down.
+ */
+function Cases() {
+	let random = Random(2024);
+	let cases = [];
+	
+	for (let i = 0; i < PATTERNS; i++) {
+		let words = [];
+		
+		for (let j = 0; j < WORDS; j++)
+			words.push(RandomWord(random));
+		
+		let pattern = RandomPattern(random, 0);
+		let flags = RandomFlags(random);
+		let options = { maxDFAStates: MAX_DFA_STATES };
+		
+		for (let flag of flags)
+			options[flag] = true;
+		
+		try {
+			cases.push({ pattern: pattern, flags: flags, words: words, regex: new Regex(pattern, options) });
+		}
+		
+		catch (error) {
+			if (!(error instanceof RegexLimitError))
+				throw error;
+		}
+	}
+	
+	return cases;
+}
+
+const CASES = Cases();
+
+test('IsValidWord agrees with RegExp on random patterns', function() {
+	for (let { pattern, flags, words, regex } of CASES) {
+		let native = new RegExp('(?:' + pattern + ')(?![\\s\\S])', 'y' + flags);
+		
+		for (let word of words) {
+			native.lastIndex = 0;
+			assert.strictEqual(regex.IsValidWord(word), native.test(word), '/' + pattern + '/' + flags + ' on ' + JSON.stringify(word));
+		}
+	}
+});
+
+test('FindAll agrees with the longest RegExp match at each position on random patterns', function() {
+	for (let { pattern, flags, words, regex } of CASES) {
+		for (let word of words)
+			assert.deepStrictEqual(Spans(regex.FindAll(word, { unique: false })), Spans(ExpectedMatches(pattern, flags, word)), '/' + pattern + '/' + flags + ' on ' + JSON.stringify(word));
+	}
+});
+
+test('Captures agree with RegExp on the same matches for random patterns', function() {
+	let checked = 0;
+	
+	for (let { pattern, flags, words, regex } of CASES) {
+		if (regex.groups.length == 0 || RepeatsEmptyGroup(regex.ParseTokens(regex.TokenizeRegex(pattern)), false))
+			continue;
+		
+		checked++;
+		
+		for (let word of words)
+			assert.deepStrictEqual(regex.FindAll(word, { unique: false }), ExpectedMatches(pattern, flags, word), '/' + pattern + '/' + flags + ' on ' + JSON.stringify(word));
+	}
+	
+	assert.ok(checked > 50, 'only ' + checked + ' patterns with groups were checked');
+});
+
+test('The lazy engine agrees with the DFA on random patterns, even when its cache is tiny', function() {
+	for (let { pattern, flags, words, regex } of CASES) {
+		let options = { engine: 'lazy', maxCachedStates: 3 };
+		
+		for (let flag of flags)
+			options[flag] = true;
+		
+		let lazy = new Regex(pattern, options);
+		
+		for (let word of words) {
+			let message = '/' + pattern + '/' + flags + ' on ' + JSON.stringify(word);
+			
+			assert.strictEqual(lazy.IsValidWord(word), regex.IsValidWord(word), message);
+			assert.deepStrictEqual(lazy.FindAll(word, { unique: false }), regex.FindAll(word, { unique: false }), message);
+		}
+	}
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Regex } = require('../regex.js');
+
+const PATTERNS = ['a*', '(a|b)*', '(a*b*)*', 'a+b?', 'aa*|b', '[ab]{2}', 'ab|ba|aa|bb', '\\ba', 'a\\b', '', 'b*a'];
+
+/**
+ * Lists every word of up to the given length made of the characters, shortest first.
+ */
+function Words(chars, length) {
+	let words = [''];
+	
+	for (let i = 0, start = 0; i < length; i++) {
+		let end = words.length;
+		
+		for (let j = start; j < end; j++) {
+			for (let char of chars)
+				words.push(words[j] + char);
+		}
+		
+		start = end;
+	}
+	
+	return words;
+}
+
+const WORDS = Words(['a', 'b'], 6);
+
+test('Equivalent finds regexs that match the same words', function() {
+	let pairs = [['(a|b)*', '(a*b*)*'], ['\\d+', '[0-9]+'], ['ab|ac', 'a[bc]'], ['x{2,}', 'xx+'], ['\\bab', 'ab'], ['a|a', 'a']];
+	
+	for (let [a, b] of pairs)
+		assert.deepStrictEqual(Regex.Equivalent(new Regex(a), new Regex(b)), { equivalent: true, counterexample: null }, a + ' and ' + b);
+});
+
+test('Equivalent and Includes give a shortest counterexample', function() {
+	for (let x of PATTERNS) {
+		for (let y of PATTERNS) {
+			let a = new Regex(x);
+			let b = new Regex(y);
+			let equivalence = Regex.Equivalent(a, b);
+			let inclusion = Regex.Includes(a, b);
+			let unequal = WORDS.find(function(word) { return a.IsValidWord(word) != b.IsValidWord(word); });
+			let excluded = WORDS.find(function(word) { return b.IsValidWord(word) && !a.IsValidWord(word); });
+			let message = x + ' and ' + y;
+			
+			assert.strictEqual(equivalence.equivalent, unequal == undefined, message);
+			assert.strictEqual(inclusion.includes, excluded == undefined, message);
+			
+			if (unequal != undefined) {
+				assert.notStrictEqual(a.IsValidWord(equivalence.counterexample), b.IsValidWord(equivalence.counterexample), message);
+				assert.strictEqual(equivalence.counterexample.length, unequal.length, message);
+			}
+			
+			if (excluded != undefined) {
+				assert.ok(b.IsValidWord(inclusion.counterexample) && !a.IsValidWord(inclusion.counterexample), message);
+				assert.strictEqual(inclusion.counterexample.length, excluded.length, message);
+			}
+		}
+	}
+});
+
+test('Counterexamples use printable characters where they can', function() {
+	assert.deepStrictEqual(Regex.Equivalent(new Regex('.'), new Regex('a')), { equivalent: false, counterexample: ' ' });
+	assert.deepStrictEqual(Regex.Includes(new Regex('[a-z]+'), new Regex('\\w+')), { includes: false, counterexample: '0' });
+	assert.deepStrictEqual(new Regex('\\n').IsEmpty(), { empty: false, counterexample: '\n' });
+	assert.deepStrictEqual(new Regex('\\u{1F600}', 'u').IsEmpty(), { empty: false, counterexample: '\u{1F600}' });
+});
+
+test('IsEmpty finds regexs that match nothing', function() {
+	for (let pattern of ['a^', '[^\\s\\S]', 'a\\bb', '$a', '\\B(?:a|b)\\B'])
+		assert.deepStrictEqual(new Regex(pattern).IsEmpty(), { empty: true, counterexample: null }, pattern);
+	
+	assert.deepStrictEqual(new Regex('b\\Ba|c').IsEmpty(), { empty: false, counterexample: 'c' });
+	assert.deepStrictEqual(new Regex('').IsEmpty(), { empty: false, counterexample: '' });
+	assert.deepStrictEqual(new Regex({ a: 'a^', b: 'bb' }).IsEmpty(), { empty: false, counterexample: 'bb' });
+});
+
+test('The checks need whole DFAs with the same flags', function() {
+	assert.throws(function() { Regex.Equivalent(new Regex('a', { engine: 'lazy' }), new Regex('a')); }, /requires the 'dfa' engine/);
+	assert.throws(function() { new Regex('a', { engine: 'lazy' }).IsEmpty(); }, /requires the 'dfa' engine/);
+	assert.throws(function() { Regex.Includes(new Regex('a', 'u'), new Regex('a')); }, /can't be combined/);
+});
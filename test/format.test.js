@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Regex } = require('../regex.js');
+
+const PATTERNS = [
+	'(a|b)*abb', 'aaa', 'aa?b{2}b*', 'if|in|int|else', 'a|b|[0-9]|\\s', '(?:|a|b)', '(?:a+)?', '(?:a{1,2})?', '(?:a?)+',
+	'colou?r|color', '\\d\\d\\d?', '(ab)(ab)', '(?<x>a|a)|b', '\\b\\b|^$', '.|\\n', 'x*x|xx*', '(?:ab)(?:ab)*', 'a{2}a{3,}',
+	'\u{1F600}|\u{1F601}', 'Ab|aB', '(a|ab)(c|bcd)(d*)', ''
+];
+
+test('Format writes a regex that matches the same words, simplified or not', function() {
+	for (let pattern of PATTERNS) {
+		for (let flags of ['', 'u', 'i']) {
+			let regex = new Regex(pattern, flags);
+			
+			for (let simplify of [false, true]) {
+				let options = { unicode: flags == 'u', ignoreCase: flags == 'i', simplify: simplify };
+				let source = Regex.Format(pattern, options);
+				let message = '/' + pattern + '/' + flags + ' as ' + source;
+				
+				assert.ok(Regex.Equivalent(regex, new Regex(source, flags)).equivalent, message);
+				assert.strictEqual(Regex.Format(source, options), source, message);
+			}
+		}
+	}
+});
+
+test('Format only writes the parentheses a regex needs', function() {
+	let cases = [
+		['(?:a|b)c', '(?:a|b)c'],
+		['(?:(?:a))(?:b)', 'ab'],
+		['(?:ab)*|(?:c)?', '(?:ab)*|c?'],
+		['\\d', '[0-9]'],
+		['(?<x>a)|((b))', '(?<x>a)|((b))']
+	];
+	
+	for (let [pattern, expected] of cases)
+		assert.strictEqual(Regex.Format(pattern), expected, pattern);
+});
+
+test('Simplify collapses repetitions, factors alternatives and merges classes', function() {
+	let cases = [
+		['aaa', 'a{3}'],
+		['aa?', 'a{1,2}'],
+		['a{2}a{3,}', 'a{5,}'],
+		['\\d\\d\\d?', '[0-9]{2,3}'],
+		['x*x', 'x+'],
+		['(?:ab)(?:ab)*', '(?:ab)+'],
+		['(?:a+)?', 'a*'],
+		['(?:a{1,2})?', 'a{0,2}'],
+		['(?:a{1,2}){2,3}', 'a{2,6}'],
+		['(?:a{2,3})?', '(?:a{2,3})?'],
+		['a|a|b', '[a-b]'],
+		['(?:|a|b)', '[a-b]?'],
+		['if|in|int', 'i(?:f|nt?)'],
+		['ab|ac', 'a[b-c]'],
+		['a|b|[0-9]', '[0-9a-b]'],
+		['[a]', 'a']
+	];
+	
+	for (let [pattern, expected] of cases)
+		assert.strictEqual(Regex.Format(pattern, { simplify: true }), expected, pattern);
+});
+
+test('Simplify keeps every group, in order', function() {
+	let cases = [
+		['(a)(a)', '(a)(a)'],
+		['(a)|(a)', '(a)|(a)'],
+		['(?:x|(y))z|xz', '(?:x|(y))z|xz'],
+		['(a+)?', '(a+)?'],
+		['(?<x>aa)(?:b|c)', '(?<x>a{2})[b-c]']
+	];
+	
+	for (let [pattern, expected] of cases) {
+		let source = Regex.Format(pattern, { simplify: true });
+		
+		assert.strictEqual(source, expected, pattern);
+		assert.deepStrictEqual(new Regex(source).Search('xyzaab').captures, new Regex(pattern).Search('xyzaab').captures, pattern);
+	}
+});
+
+test('Simplify does not repeat anything more often than maxRepeat allows', function() {
+	assert.strictEqual(Regex.Format('a{3}a{3}', { simplify: true, maxRepeat: 5 }), 'a{3}a{3}');
+	assert.strictEqual(Regex.Format('(?:a{0,3}){0,2}', { simplify: true, maxRepeat: 5 }), '(?:a{0,3}){0,2}');
+	assert.throws(function() { Regex.Format('a(', { simplify: true }); }, { name: 'RegexSyntaxError' });
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Regex, LazyDFA } = require('../regex.js');
+
+/**
+ * Makes a word of a and b, the same on every run.
+ */
+function Word(length, seed) {
+	let word = '';
+	
+	for (let i = 0; i < length; i++) {
+		seed = (seed * 1103515245 + 12345) % 2147483648;
+		word += (seed >> 16) & 1 ? 'a' : 'b';
+	}
+	
+	return word;
+}
+
+test('The lazy engine matches regexs whose DFA would be too large to build', function() {
+	let pattern = '(a|b)*a(a|b){20}';
+	let regex = new Regex(pattern, { engine: 'lazy', maxCachedStates: 100 });
+	let native = new RegExp('^(?:' + pattern + ')$');
+	
+	assert.ok(regex.dfa instanceof LazyDFA);
+	assert.throws(function() { new Regex(pattern); }, /more than 10000 states/);
+	
+	for (let seed = 1; seed <= 20; seed++) {
+		let word = Word(2000, seed);
+		assert.strictEqual(regex.IsValidWord(word), native.test(word));
+	}
+	
+	assert.ok(regex.IsValidWord('a' + 'b'.repeat(20)));
+	assert.ok(!regex.IsValidWord('a' + 'b'.repeat(21)));
+});
+
+test('The lazy engine never caches more than maxCachedStates states', function() {
+	let regex = new Regex('(a|b)*a(a|b){20}', { engine: 'lazy', maxCachedStates: 50 });
+	
+	regex.IsValidWord(Word(5000, 7));
+	
+	assert.ok(regex.dfa.CountStates() <= 50);
+	assert.ok(regex.dfa.generation > 0);
+});
+
+test('The lazy engine searches and tokenizes the same as the DFA', function() {
+	let rules = { keyword: 'if|else', identifier: '[a-z]+', space: ' +', word: '\\bx\\b' };
+	let lazy = new Regex(rules, { engine: 'lazy', maxCachedStates: 2 });
+	let dfa = new Regex(rules);
+	let input = 'if elsey x iff else';
+	
+	assert.deepStrictEqual(lazy.Tokenize(input), dfa.Tokenize(input));
+	assert.deepStrictEqual(lazy.FindAll(input, { unique: false }), dfa.FindAll(input, { unique: false }));
+	assert.deepStrictEqual(lazy.Search(input, 3), dfa.Search(input, 3));
+	assert.deepStrictEqual(new Regex('^\\w+$', { engine: 'lazy', m: true }).FindAll('ab\ncd e'), [{ value: 'ab', index: 0, end: 2 }]);
+});
+
+test('Only the dfa engine can be saved, and the engine must be known', function() {
+	let regex = new Regex('a+', { engine: 'lazy' });
+	
+	assert.throws(function() { regex.ToJSON(); }, /requires the 'dfa' engine/);
+	assert.throws(function() { regex.ToJavaScript(); }, /requires the 'dfa' engine/);
+	assert.throws(function() { new Regex('a', { engine: 'backtracking' }); }, /Unknown engine 'backtracking'/);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Regex, NFA, CharSet, RegexLimitError } = require('../regex.js');
+
+// Builds the NFA of a regex string.
+function BuildNFA(pattern, options) {
+	let regex = new Regex('', options);
+	
+	return regex.BuildNFA(regex.ParseTokens(regex.TokenizeRegex(pattern)));
+}
+
+// Sorts an array of states, as eClosure and Move don't promise an order.
+function Sorted(states) {
+	return states.slice().sort(function(a, b) { return a - b; });
+}
+
+test('BuildNFA builds a single transition for a character or class', function() {
+	let nfa = BuildNFA('[a-c]');
+	
+	assert.strictEqual(nfa.end, 1);
+	assert.deepStrictEqual(nfa.transitionTable[0], { '[a-c]': [1] });
+	assert.ok(nfa.sets['[a-c]'] instanceof CharSet);
+});
+
+test('BuildNFA joins alternatives with empty transitions', function() {
+	let nfa = BuildNFA('a|b');
+	
+	assert.strictEqual(nfa.end, 5);
+	assert.deepStrictEqual(nfa.transitionTable[0][null], [1, 3]);
+	assert.deepStrictEqual(nfa.transitionTable[1], { '[a]': [2] });
+	assert.deepStrictEqual(nfa.transitionTable[3], { '[b]': [4] });
+});
+
+test('BuildNFA lays out bounded repetitions without copying everything built so far', function() {
+	// Each copy of 'a' needs its two states and a joining empty transition.
+	assert.strictEqual(BuildNFA('a{3}').end, 6);
+	assert.strictEqual(BuildNFA('a{1000}').end, 2000);
+	assert.throws(function() { BuildNFA('(a{1000}){1000}'); }, RegexLimitError);
+});
+
+test('eClosure follows empty transitions, including cycles', function() {
+	let nfa = BuildNFA('a|b');
+	
+	assert.deepStrictEqual(Sorted(nfa.eClosure([0])), [0, 1, 3]);
+	assert.deepStrictEqual(Sorted(nfa.eClosure([2])), [2, 5]);
+	
+	// '(a?)*' has a cycle of empty transitions, which must not loop forever.
+	nfa = BuildNFA('(a?)*');
+	assert.ok(nfa.eClosure([0]).includes(nfa.end));
+});
+
+test('Move follows transitions on sets containing the character', function() {
+	let nfa = BuildNFA('a|[a-c]');
+	let start = nfa.eClosure([0]);
+	
+	assert.strictEqual(nfa.Move(start, 'a'.charCodeAt(0)).length, 2);
+	assert.strictEqual(nfa.Move(start, 'b'.charCodeAt(0)).length, 1);
+	assert.deepStrictEqual(nfa.Move(start, 'd'.charCodeAt(0)), []);
+	assert.deepStrictEqual(nfa.Move(start, null), []);
+});
+
+test('Assertions are transitions that are only crossed when they hold', function() {
+	let nfa = BuildNFA('\\ba');
+	
+	assert.ok(nfa.HasAssertions());
+	assert.deepStrictEqual(nfa.eClosure([0]), [0]);
+	assert.deepStrictEqual(Sorted(nfa.AssertionClosure([0], 0, 2)), [0, 1, 2]);
+	assert.deepStrictEqual(nfa.AssertionClosure([0], 2, 2), [0]);
+	assert.ok(!BuildNFA('a').HasAssertions());
+});
+
+test('Tagged combines NFAs and tags the end of each with its index', function() {
+	let nfa = new NFA().Tagged([BuildNFA('a'), BuildNFA('b')]);
+	
+	assert.deepStrictEqual(nfa.tags, { 2: 0, 4: 1 });
+	assert.strictEqual(nfa.AcceptingTag([2, 4]), 0);
+	assert.strictEqual(nfa.AcceptingTag([4]), 1);
+	assert.strictEqual(nfa.AcceptingTag([0]), -1);
+});
+
+test('Ignoring case expands characters and classes to every case', function() {
+	assert.deepStrictEqual(BuildNFA('a', 'i').sets['[Aa]'].ranges, [[0x41, 0x41], [0x61, 0x61]]);
+	// Like RegExp, only Unicode case folding matches the long s and Kelvin sign to s and k.
+	assert.ok(BuildNFA('[a-z]', 'i').sets['[A-Za-z]']);
+	assert.ok(BuildNFA('[a-z]', 'iu').sets['[A-Za-z\\u017f\\u212a]']);
+});
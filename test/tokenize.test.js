@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Regex, RegexSyntaxError, CharSet } = require('../regex.js');
+
+// Tokenizes a regex string, without building anything from it.
+function Tokenize(pattern, options) {
+	return new Regex('', options).TokenizeRegex(pattern);
+}
+
+// Parses a regex string, and writes the parse tree back out in fully parenthesised form.
+function Parse(pattern, options) {
+	let regex = new Regex('', options);
+	
+	return regex.AsString(regex.ParseTokens(regex.TokenizeRegex(pattern)), '');
+}
+
+// Finds the error thrown when compiling a regex string.
+function SyntaxErrorOf(pattern, options) {
+	try {
+		new Regex(pattern, options);
+	} catch (error) {
+		return error;
+	}
+	
+	return null;
+}
+
+test('TokenizeRegex splits characters, classes, quantifiers and metacharacters', function() {
+	let tokens = Tokenize('a[b-d]*\\d{2,3}|(x)');
+	
+	assert.deepStrictEqual(tokens.map(function(token) { return [token.type, token.index]; }), [
+		['char', 0], ['class', 1], ['quant', 6], ['class', 7], ['quant', 9], ['meta', 14], ['meta', 15], ['char', 16], ['meta', 17]
+	]);
+	
+	assert.strictEqual(tokens[0].value, 'a');
+	assert.deepStrictEqual(tokens[1].value.ranges, [[0x62, 0x64]]);
+	assert.deepStrictEqual(tokens[2].repetitions, [0, -1]);
+	assert.deepStrictEqual(tokens[3].value.ranges, CharSet.SHORTHANDS.d);
+	assert.strictEqual(tokens[4].value, '{2,3}');
+	assert.deepStrictEqual(tokens[4].repetitions, [2, 3]);
+});
+
+test('TokenizeRegex reads repetitions', function() {
+	assert.deepStrictEqual(Tokenize('a{3}')[1].repetitions, [3, 3]);
+	assert.deepStrictEqual(Tokenize('a{3,}')[1].repetitions, [3, -1]);
+	assert.deepStrictEqual(Tokenize('a{,3}')[1].repetitions, [0, 3]);
+	assert.deepStrictEqual(Tokenize('a+')[1].repetitions, [1, -1]);
+	assert.deepStrictEqual(Tokenize('a?')[1].repetitions, [0, 1]);
+});
+
+test('TokenizeRegex reads classes', function() {
+	assert.deepStrictEqual(Tokenize('[^a-c]')[0].value.ranges, [[0, 0x60], [0x64, CharSet.MAX]]);
+	assert.deepStrictEqual(Tokenize('[-a]')[0].value.ranges, [[0x2D, 0x2D], [0x61, 0x61]]);
+	assert.deepStrictEqual(Tokenize('[a-]')[0].value.ranges, [[0x2D, 0x2D], [0x61, 0x61]]);
+	assert.deepStrictEqual(Tokenize('[\\]]')[0].value.ranges, [[0x5D, 0x5D]]);
+	assert.deepStrictEqual(Tokenize('[\\b]')[0].value.ranges, [[0x08, 0x08]]);
+	assert.deepStrictEqual(Tokenize('[\\d_]')[0].value.ranges, [[0x30, 0x39], [0x5F, 0x5F]]);
+});
+
+test('TokenizeRegex reads escapes', function() {
+	assert.strictEqual(Tokenize('\\n')[0].value, '\n');
+	assert.strictEqual(Tokenize('\\x41')[0].value, 'A');
+	assert.strictEqual(Tokenize('\\u00e9')[0].value, 'é');
+	assert.strictEqual(Tokenize('\\.')[0].value, '.');
+	assert.strictEqual(Tokenize('\\u{1F600}', 'u')[0].value, '\u{1F600}');
+	assert.strictEqual(Tokenize('\\uD83D\\uDE00', 'u')[0].value, '\u{1F600}');
+	assert.strictEqual(Tokenize('\u{1F600}', 'u').length, 1);
+	assert.strictEqual(Tokenize('\u{1F600}').length, 2);
+});
+
+test('TokenizeRegex reads assertions', function() {
+	assert.deepStrictEqual(Tokenize('^\\b\\B$').map(function(token) { return token.value; }), ['start', 'wordBoundary', 'notWordBoundary', 'end']);
+	assert.deepStrictEqual(Tokenize('^$', 'm').map(function(token) { return token.value; }), ['lineStart', 'lineEnd']);
+});
+
+test('ParseTokens gives alternation the lowest precedence and quantifiers the highest', function() {
+	assert.strictEqual(Parse('ab*c|d(?:e|f)+'), '(a(b)*c|d((e|f))+)');
+	assert.strictEqual(Parse('if|else'), '(if|else)');
+	assert.strictEqual(Parse('a{2,}b{1,3}'), '(a){2,}(b){1,3}');
+	assert.strictEqual(Parse('a|'), '(a|)');
+	assert.strictEqual(Parse('(?:\\b)+^'), '(\\b)+^');
+});
+
+test('ParseTokens numbers capturing groups in the order they open', function() {
+	let regex = new Regex('a');
+	let tree = regex.ParseTokens(regex.TokenizeRegex('((a)|(?<b>b))(?:c)'));
+	
+	assert.strictEqual(regex.AsString(tree, ''), '(((a)|(?<b>b)))c');
+	assert.deepStrictEqual(regex.groups, [null, null, 'b']);
+	assert.strictEqual(tree.children[0].number, 1);
+	assert.strictEqual(tree.children[0].child.children[1].number, 3);
+	assert.deepStrictEqual(Tokenize('(?:a)(?<x>b)').map(function(token) { return token.value; }), ['(?:', 'a', ')', '(?<x>', 'b', ')']);
+});
+
+test('Invalid regexs throw a RegexSyntaxError with a code and offset', function() {
+	let cases = [
+		['(ab', 'UNBALANCED_PAREN', 0],
+		['(?=a)', 'BAD_GROUP', 0],
+		['a(?<!b)', 'BAD_GROUP', 1],
+		['(?i)', 'BAD_GROUP', 0],
+		['(?<1>a)', 'BAD_GROUP_NAME', 3],
+		['(?<a', 'BAD_GROUP_NAME', 3],
+		['(?<a>x)(?<a>y)', 'DUPLICATE_GROUP_NAME', 10],
+		['ab)', 'UNBALANCED_PAREN', 2],
+		['*a', 'DANGLING_QUANTIFIER', 0],
+		['a**', 'DANGLING_QUANTIFIER', 2],
+		['^*', 'DANGLING_QUANTIFIER', 1],
+		['a{1,2,3}', 'BAD_REPETITION', 5],
+		['a{2,1}', 'BAD_REPETITION_RANGE', 1],
+		['a{1001}', 'REPETITION_TOO_LARGE', 1],
+		['[]', 'EMPTY_CLASS', 0],
+		['[ab', 'UNTERMINATED_CLASS', 0],
+		['[z-a]', 'BAD_CLASS_RANGE', 3],
+		['\\x4', 'BAD_ESCAPE', 0],
+		['a\\', 'BAD_ESCAPE', 1],
+		['a]', 'UNEXPECTED_CHARACTER', 1]
+	];
+	
+	for (let i = 0; i < cases.length; i++) {
+		let error = SyntaxErrorOf(cases[i][0]);
+		
+		assert.ok(error instanceof RegexSyntaxError, cases[i][0]);
+		assert.strictEqual(error.code, cases[i][1], cases[i][0]);
+		assert.strictEqual(error.offset, cases[i][2], cases[i][0]);
+		assert.strictEqual(error.pattern, cases[i][0]);
+	}
+	
+	assert.strictEqual(SyntaxErrorOf('a', 'gx').code, 'BAD_FLAG');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Regex, DFA } = require('../regex.js');
+
+const PATTERNS = [
+	'(a|b)*abb', 'a+b+', '[a-z]+@[a-z]+\\.com', 'x|y|xy', '(ab)+', 'colou?r', '\\d{2,4}', '[^a]', '.', 'a^', '',
+	'(a|b)*a(a|b)', 'if|else|elif', '\\bfoo\\b', '\\n\\t.', '\u{1F600}|a', '(a|ab)(c|bcd)(d*)', '(x?y?)*z', 'a{0,3}b{2,}'
+];
+
+test('ToRegex gives a regex that matches the same words', function() {
+	for (let pattern of PATTERNS) {
+		for (let flags of ['', 'u', 'i']) {
+			let regex = new Regex(pattern, flags);
+			let source = regex.dfa.ToRegex();
+			
+			assert.ok(Regex.Equivalent(regex, new Regex(source, flags.replace('i', ''))).equivalent, '/' + pattern + '/' + flags + ' as ' + source);
+		}
+	}
+});
+
+test('ToRegex simplifies as it eliminates states', function() {
+	let cases = [
+		['a|a', 'a'],
+		['ab*', 'ab*'],
+		['aa*', 'a+'],
+		['a?', 'a?'],
+		['(ab)+', '(?:ab)+'],
+		['[a-z]+@[a-z]+\\.com', '[a-z]+@[a-z]+\\.com'],
+		['if|else|elif', 'if|el(?:se|if)'],
+		['a^', '[^\\s\\S]'],
+		['', '']
+	];
+	
+	for (let [pattern, expected] of cases)
+		assert.strictEqual(new Regex(pattern).dfa.ToRegex(), expected, pattern);
+});
+
+test('ToRegex converts combined DFAs back into regexs', function() {
+	let identifiers = new Regex('[a-z]+').dfa;
+	let keywords = new Regex('if|in').dfa;
+	
+	assert.strictEqual(DFA.Intersect(identifiers, new Regex('[a-c]*').dfa).Minimise().ToRegex(), '[a-c]+');
+	assert.strictEqual(DFA.Difference(keywords, new Regex('in').dfa).Minimise().ToRegex(), 'if');
+	assert.strictEqual(new Regex('abc').dfa.Reverse().Minimise().ToRegex(), 'cba');
+	assert.strictEqual(new Regex('[ab]').dfa.Complement(new Regex('[ab]').dfa.alphabet.Set(1)).Minimise().ToRegex(), '(?:[a-b]{2,})?');
+});
+
+test('ToRegex keeps bounded repetitions short', function() {
+	// Without factoring the paths it builds, the regex would double in length with each state removed.
+	let dfa = new Regex('[a-z]{1,20}x').dfa;
+	
+	assert.strictEqual(dfa.CountStates(), 42);
+	assert.strictEqual(dfa.ToRegex(), '[a-z]{1,20}x');
+	assert.throws(function() { dfa.ToRegex({ maxLength: 5 }); }, { name: 'RegexLimitError', code: 'REGEX_TOO_LONG' });
+});
+
+test('ToSource writes a parse tree with only the parentheses it needs', function() {
+	let regex = new Regex('');
+	let cases = [
+		['(?:a|b)c', '(?:a|b)c'],
+		['(?:ab)*|c?', '(?:ab)*|c?'],
+		['((a))', '((a))'],
+		['(?<x>a|b)+', '(?<x>a|b)+'],
+		['(?:a*)+', '(?:a*)+'],
+		['(?:\\b)+^', '(?:\\b)+^'],
+		['[\\]\\-]\\.\\{', '[\\-\\]]\\.\\{'],
+		['\\u0001\\n', '\\u0001\\n']
+	];
+	
+	for (let [pattern, expected] of cases) {
+		let tree = regex.ParseTokens(regex.TokenizeRegex(pattern));
+		
+		assert.strictEqual(regex.ToSource(tree), expected, pattern);
+		assert.strictEqual(regex.AsString(regex.ParseTokens(regex.TokenizeRegex(expected)), ''), regex.AsString(tree, ''), pattern);
+	}
+});